@@ -4,22 +4,121 @@
 
 document.addEventListener('DOMContentLoaded', () => {
   // --- CONFIG ---
-  const MAX_TRACKS = 4;
-  const TRACK_COLORS = ['#007bff', '#dc3545', '#28a745', '#ffc107'];
+  const TRACK_COLORS = ['#007bff', '#dc3545', '#28a745', '#ffc107'];  // ilk rotalar; sonrası trackColor() ile üretilir
   const OVERLAP_COLOR = '#ffd000';        // sabit: sarı
+  // ortak kısım parametrelerinin varsayılanları; kenar çubuğundan değiştirilebilir
   const OVERLAP_THRESHOLD_METERS = 20;
+  const OVERLAP_EXIT_MARGIN_METERS = 5;   // ortak kısımdan çıkmak için eşik + bu kadar uzaklaşmak gerekir (histerezis)
   const RESAMPLE_STEP_METERS = 10;
+  const MIN_OVERLAP_SEGMENT_METERS = 0;   // bundan kısa ortak parçalar yok sayılır
+  const OVERLAP_RECOMPUTE_DELAY_MS = 300; // ayar kutularında yazarken her tuşta yeniden hesaplanmasın
+  const SESSION_SAVE_DELAY_MS = 500;      // otomatik kayıt gecikmesi
+  const HEADING_WINDOW_METERS = 20;       // yön, örneğin ±20 m çevresinden hesaplanır (GPS titremesi yönü bozmasın)
+  const SAME_DIRECTION_MAX_DEG = 45;      // yön farkı bunun altındaysa aynı yön,
+  const OPPOSITE_DIRECTION_MIN_DEG = 135; // bunun üstündeyse ters yön; arası kesişme
+  const OVERLAP_KINDS = {  // etiketler i18n'de: kind.<ad>
+    same:     { style: { color: OVERLAP_COLOR } },
+    opposite: { style: { color: '#fd7e14', dashArray: '12 8' } },
+    crossing: { style: { color: '#7048e8', weight: 12, opacity: 0.9 } }
+  };
+  const MOVING_SPEED_MPS = 0.5;           // bunun altındaki hızlar "durma" sayılır (hareket süresine girmez)
+  const SPEED_WINDOW_SECONDS = 10;        // anlık hız bu pencere üzerinden yumuşatılır (GPS sıçramaları maks. hızı şişirmesin)
+  const MAX_PACE_MIN_PER_KM = 30;         // daha yavaş tempo grafikte boşluk olarak gösterilir
+  // GPX uzantılarından okunan sensörler (gpxParser.getPointExtensions); hız grafiğinde seri olarak seçilir.
+  // Etiketler i18n'de: chart.<key>, sensor.<key>; unitKey null: sıcaklık, birim sistemine göre °C/°F
+  const SENSORS = [
+    { key: 'hr',    unitKey: 'unit.bpm',  digits: 0 },
+    { key: 'cad',   unitKey: 'unit.rpm',  digits: 0 },
+    { key: 'power', unitKey: 'unit.watt', digits: 0 },
+    { key: 'atemp', unitKey: null,        digits: 1 }
+  ];
+  const DEFAULT_ELEV_SMOOTH_METERS = 50;   // yükseklik profili bu pencereyle (mesafe tabanlı) yumuşatılır
+  const DEFAULT_ELEV_HYSTERESIS_METERS = 3; // bu eşiği aşmayan iniş/çıkışlar toplama girmez
+  const GRADE_WINDOW_METERS = 50;         // eğim, noktanın ±50 m çevresindeki yükseklik farkından hesaplanır
+  // Eğime göre renklendirme bantları (%): min dahil, artan sırada; etiketler i18n'de: grade.<key>
+  const GRADE_BANDS = [
+    { key: 'descent',   min: -Infinity, color: '#339af0' },
+    { key: 'flat',      min: -3,        color: '#51cf66' },
+    { key: 'moderate',  min: 3,         color: '#fcc419' },
+    { key: 'steep',     min: 6,         color: '#ff922b' },
+    { key: 'verySteep', min: 10,        color: '#e03131' }
+  ];
+  const CLIMB_MAX_DIP_METERS = 10;        // tırmanış, zirveden bu kadar inilince biter...
+  const CLIMB_MAX_FLAT_METERS = 1000;     // ...ya da bu mesafe boyunca yeni zirve yapılmazsa
+  const CLIMB_MIN_GRADE = 3;              // ortalama eğimi (%) bunun altında kalanlar tırmanış sayılmaz
+  const CLIMB_MATCH_SHARE = 0.5;          // iki rotanın tırmanışı, kısa olanın en az bu oranı örtüşüyorsa aynı yokuştur
+  // Kategori puanı = uzunluk (m) × ortalama eğim (%), en zordan kolaya; en düşük eşiğin altı tırmanış sayılmaz.
+  // Etiketler i18n'de: climb.cat.<key>
+  const CLIMB_CATEGORIES = [
+    { key: 'hc', minScore: 80000, color: '#862e9c' },
+    { key: '1',  minScore: 64000, color: '#c92a2a' },
+    { key: '2',  minScore: 32000, color: '#e8590c' },
+    { key: '3',  minScore: 16000, color: '#f08c00' },
+    { key: '4',  minScore: 8000,  color: '#74b816' }
+  ];
+  const DEFAULT_WAYPOINT_RADIUS_METERS = 50; // bir rota bu mesafeden yakın geçiyorsa noktadan "geçer" sayılır
+  const TRACK_OFFSET_PX = 5;              // yan yana modunda komşu rotalar arası kaydırma (çizgi kalınlığı + 1)
+  const LOD_MIN_POINTS = 5000;            // bundan az noktalı rotalar haritada olduğu gibi çizilir
+  const LOD_TOLERANCE_PX = 0.5;           // büyük rotalar o yakınlaştırmada yarım piksel sapmayla sadeleştirilir
+  const CHART_MAX_POINTS = 2000;          // grafik serileri en çok ~bu kadar noktaya indirilir (gezinme akıcı kalsın)
+  const SHARE_MAX_URL_LENGTH = 8000;      // tarayıcılar daha uzununu kabul eder ama sohbet uygulamaları ve sunucular keser
+  // Paylaşım bağlantısı sığmazsa sırayla denenen ayrıntı düzeyleri (tolerans: Douglas–Peucker sapması, m)
+  const SHARE_LEVELS = [
+    { toleranceMeters: 2,  elevation: true,  time: true },
+    { toleranceMeters: 5,  elevation: true,  time: true },
+    { toleranceMeters: 5,  elevation: true,  time: false },
+    { toleranceMeters: 10, elevation: true,  time: false },
+    { toleranceMeters: 25, elevation: true,  time: false },
+    { toleranceMeters: 25, elevation: false, time: false },
+    { toleranceMeters: 50, elevation: false, time: false }
+  ];
 
   // --- STATE ---
   let map, canvasRenderer;
   let elevationChart;
-  let tracksData = [];     // each: { name, points[{lat,lng,ele}], chartData[{x,y}], color, totalDistance }
+  let speedChart;
+  let speedMetric = 'speed'; // 'speed' (km/sa ya da mil/sa) | 'pace' (dk/km ya da dk/mi) | SENSORS anahtarı
+  let elevationFilter = { smoothMeters: DEFAULT_ELEV_SMOOTH_METERS, hysteresisMeters: DEFAULT_ELEV_HYSTERESIS_METERS };
+  let overlapSettings = defaultOverlapSettings();
+  let tracksData = [];     // each: { name, fileName, rawSegments[[{lat,lng,ele,time}]], points[{lat,lng,ele,time,seg,dist,grade}], segments[[point]], chartData[{x,y,g}], speedData[{x,kmh}], timeStats, rawElevation, cleanupReport, lod{zoom: segments}, waypoints[{name,sym,desc,cmt,lat,lng,ele}], color, totalDistance, visible, showWaypoints }
+                           // kaldırılan rotanın yeri null kalır: indeksler (katmanlar, veri setleri) kararlıdır
+  let trackOrder = [];     // kenar çubuğundaki sıra (tracksData indeksleri); çizim ve grafik sırası da budur
   let mapLayers = [];      // polylines per index
+  let gradeLayers = [];    // eğim modunda index başına bant bant çizilmiş çizgi grubu (ilk gerektiğinde kurulur)
+  let gradeLegend = null;  // eğim bantlarının harita açıklaması (L.control)
+  let waypointLayers = []; // waypoint marker groups per index (dosyanın ilk yüklenen rotasına bağlı)
+  let waypointRadius = DEFAULT_WAYPOINT_RADIUS_METERS;
   let chartDatasets = [];  // chart datasets per index
+  let profileReference = null; // yükseklik profillerinin hizalandığı rota (tracksData indeksi); null: her rota kendi mesafesinde
+  let profileAlignment = [];   // hizalı modda index başına referansa izdüşen noktalar [{km, point} | null (boşluk)]
+  let speedDatasets = [];  // speed/pace chart datasets per index
   let overlapLayer = null;
+  let overlapResults = null;   // overlapEngine.compareAll + { lines, options } — all: 3+ rotada hepsinin kesişimi
+  let overlapJob = null;       // sürmekte olan hesap: { id, indices, tracks, options }
+  let overlapJobSeq = 0;
+  let overlapWorker = null;
+  let overlapWorkerFailed = false;
+  let overlapSelection = null; // haritada vurgulanan: 'a-b' (tracksData indeksleri) ya da 'all'
+  // Tekrar oynatma: t = zaman çizelgesi başından itibaren ms; tracks: [{index, timed[{time,dist,lat,lng}]}]
+  let replay = { playing: false, t: 0, duration: 0, origin: 0, align: 'absolute', speed: 60, tracks: [], markers: [], rafId: null, lastFrame: 0 };
+  // Grafik <-> harita bağlantısı
+  let hoverMarkers = [];       // grafikte gezilen mesafenin her rotadaki karşılığı (index başına)
+  let chartCrosshair = null;   // { km, refKm?, color?, label?, pinned } — grafikte dikey çizgi; refKm: hizalı profildeki yeri
+  let saveTimer = null;
+  let restoringSession = false; // kayıt açılırken ara durumlar otomatik kaydedilmesin
+  let sessionStoreFailed = false;
+  let displayMode = 'overlap'; // 'overlap': sarı ortak bant | 'offset': rotalar yan yana (leaflet.polylineoffset)
+  let colorMode = 'track';     // 'track': her rota kendi renginde | 'grade': harita ve yükseklik profili eğim bantlarına göre
+  let gpsCleanupEnabled = true; // false: ölçüm ve karşılaştırma ham noktalarla yapılır
+  let showClimbs = true;        // tırmanışlar haritada ve yükseklik grafiğinde vurgulansın
+  let selectedClimb = null;     // listede seçilen tırmanış: { index, k } — gizliyken de vurgulanır
+  let climbLayer = null;
 
-  const inputsDiv = document.getElementById('inputs');
-  const addBtn = document.getElementById('addBtn');
+  const trackListEl = document.getElementById('trackList');
+  const pendingDiv = document.getElementById('pending');
+  const displayModeSelect = document.getElementById('displayMode');
+  const colorModeSelect = document.getElementById('colorMode');
+  const speedMetricSelect = document.getElementById('speedMetric');
 
   // --- Utils ---
   // Güvenli mesafe: gpxparser'ın calcDistanceBetween yoksa/hatalıysa kendi Haversine'ımızı kullan
@@ -45,6 +144,106 @@ document.addEventListener('DOMContentLoaded', () => {
     return 2 * R * Math.asin(Math.min(1, Math.sqrt(s)));
   }
 
+  // İlk rotalar sabit paletten; sonrası altın açıyla dağıtılan tonlar. Hex döner
+  // (grafikte dolgu için sonuna '33' alfa eki yapılıyor)
+  function trackColor(n) {
+    if (n < TRACK_COLORS.length) return TRACK_COLORS[n];
+    const h = (n * 137.508) % 360, s = 0.65, l = 0.45;
+    const f = k => {
+      const a = s * Math.min(l, 1 - l);
+      const c = l - a * Math.max(-1, Math.min((k + h / 30) % 12 - 3, 9 - (k + h / 30) % 12, 1));
+      return Math.round(c * 255).toString(16).padStart(2, '0');
+    };
+    return `#${f(0)}${f(8)}${f(4)}`;
+  }
+
+  // Douglas–Peucker: çizgiden toleranceMeters'tan az sapan ara noktalar atılır, uçlar korunur.
+  // Yerel eşdikdörtgen izdüşüm; rota ölçeğinde (birkaç yüz km) yeterince doğru.
+  // withElevation: yükseklik üçüncü eksen sayılır (düz yoldaki tırmanış profili silinmesin)
+  function simplifyPoints(points, toleranceMeters, withElevation) {
+    if (points.length <= 2 || !(toleranceMeters > 0)) return points.slice();
+    const toRad = Math.PI / 180;
+    const ky = 6371000 * toRad, kx = ky * Math.cos(points[0].lat * toRad);
+    const xs = points.map(p => p.lng * kx), ys = points.map(p => p.lat * ky);
+    const zs = points.map(p => (withElevation && Number.isFinite(p.ele) ? p.ele : 0));
+    const tol2 = toleranceMeters * toleranceMeters;
+    const keep = new Uint8Array(points.length);
+    keep[0] = keep[points.length - 1] = 1;
+    const stack = [[0, points.length - 1]];  // özyineleme yerine yığın: uzun rotalarda çağrı yığını taşmasın
+    while (stack.length) {
+      const [a, b] = stack.pop();
+      const dx = xs[b] - xs[a], dy = ys[b] - ys[a], dz = zs[b] - zs[a];
+      const len2 = dx * dx + dy * dy + dz * dz;
+      let maxD2 = 0, far = -1;
+      for (let i = a + 1; i < b; i++) {
+        const t = len2 ? Math.max(0, Math.min(1, ((xs[i] - xs[a]) * dx + (ys[i] - ys[a]) * dy + (zs[i] - zs[a]) * dz) / len2)) : 0;
+        const ex = xs[a] + t * dx - xs[i], ey = ys[a] + t * dy - ys[i], ez = zs[a] + t * dz - zs[i];
+        const d2 = ex * ex + ey * ey + ez * ez;
+        if (d2 > maxD2) { maxD2 = d2; far = i; }
+      }
+      if (far >= 0 && maxD2 > tol2) {
+        keep[far] = 1;
+        stack.push([a, far], [far, b]);
+      }
+    }
+    return points.filter((_, i) => keep[i]);
+  }
+
+  // Grafik serisini ~maxPoints noktaya indirir: sıra korunur, her kovadan en düşük ve en yüksek nokta kalır
+  // (tepeler kaybolmaz); y: null boşlukları olduğu gibi geçer
+  function downsampleSeries(data, maxPoints) {
+    if (data.length <= maxPoints) return data;
+    const size = Math.ceil(data.length / (maxPoints / 2));
+    const out = [data[0]];
+    let lo = -1, hi = -1;
+    const flush = () => {
+      if (lo < 0) return;
+      if (lo !== hi) out.push(data[Math.min(lo, hi)]);
+      out.push(data[Math.max(lo, hi)]);
+      lo = hi = -1;
+    };
+    for (let i = 1; i < data.length - 1; i++) {
+      const d = data[i];
+      if (i % size === 0) flush();
+      if (d.y == null) { flush(); out.push(d); continue; }
+      if (lo < 0 || d.y < data[lo].y) lo = i;
+      if (hi < 0 || d.y > data[hi].y) hi = i;
+    }
+    flush();
+    out.push(data[data.length - 1]);
+    return out;
+  }
+
+  // Yüklü ve görünür rotalar, kenar çubuğu sırasıyla
+  const visibleIndices = () => trackOrder.filter(i => tracksData[i] && tracksData[i].visible);
+
+  // saniye -> "s:dd:ss"
+  function formatDuration(sec) {
+    if (!Number.isFinite(sec)) return '–';
+    const s = Math.round(sec);
+    const h = Math.floor(s / 3600);
+    const m = Math.floor((s % 3600) / 60);
+    return `${h}:${String(m).padStart(2, '0')}:${String(s % 60).padStart(2, '0')}`;
+  }
+
+  // dk/km -> "m:ss"
+  function formatPace(minPerKm) {
+    if (!Number.isFinite(minPerKm) || minPerKm <= 0) return '–';
+    let m = Math.floor(minPerKm);
+    let s = Math.round((minPerKm - m) * 60);
+    if (s === 60) { m += 1; s = 0; }
+    return `${m}:${String(s).padStart(2, '0')}`;
+  }
+
+  const sensorOf = key => SENSORS.find(s => s.key === key);
+  const sensorUnit = key => (key === 'atemp' ? i18n.unit('temp') : i18n.t(sensorOf(key).unitKey));
+  const sensorDisplay = (key, v) => (key === 'atemp' ? i18n.temp(v) : v);
+
+  function formatSensor(key, v) {
+    if (v == null || !Number.isFinite(v)) return '–';
+    return `${sensorDisplay(key, v).toFixed(sensorOf(key).digits)} ${sensorUnit(key)}`;
+  }
+
   // --- Map ---
   function initMap() {
     map = L.map('map', { preferCanvas: true }).setView([41.0082, 28.9784], 10);
@@ -52,9 +251,128 @@ document.addEventListener('DOMContentLoaded', () => {
     L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
       attribution: '&copy; OpenStreetMap contributors'
     }).addTo(map);
+
+    // grafikte sabitlenmiş çizgi: haritada boş bir yere tıklayınca kalkar
+    map.on('click', () => {
+      if (chartCrosshair && chartCrosshair.pinned) setChartCrosshair(null);
+    });
+    map.on('zoomend', applyMapLod);
   }
 
   // --- Chart ---
+  // Haritadan gelen (ya da grafikte gezilen) mesafeyi dikey çizgi + etiket olarak çizer
+  const crosshairPlugin = {
+    id: 'crosshair',
+    afterDatasetsDraw(chart) {
+      if (!chartCrosshair) return;
+      const { ctx, chartArea, scales } = chart;
+      const km = chart === elevationChart && profileReference != null ? chartCrosshair.refKm : chartCrosshair.km;
+      let x = km != null ? scales.x.getPixelForValue(i18n.dist(km)) : NaN;
+      const onChart = Number.isFinite(x) && x >= chartArea.left && x <= chartArea.right;
+      // hizalı profilde referansın dışındaki nokta: çizgi yok, etiket yine gösterilir
+      if (!onChart && !(chartCrosshair.label && chart === elevationChart && km == null)) return;
+
+      ctx.save();
+      if (onChart) {
+        ctx.strokeStyle = chartCrosshair.color || '#495057';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.moveTo(x, chartArea.top);
+        ctx.lineTo(x, chartArea.bottom);
+        ctx.stroke();
+      } else {
+        x = chartArea.left;
+      }
+
+      if (chartCrosshair.label && chart === elevationChart) {
+        ctx.setLineDash([]);
+        ctx.font = '12px Inter, sans-serif';
+        const w = ctx.measureText(chartCrosshair.label).width + 10;
+        const lx = Math.min(Math.max(chartArea.left, x - w / 2), chartArea.right - w);
+        ctx.fillStyle = 'rgba(255,255,255,0.9)';
+        ctx.fillRect(lx, chartArea.top, w, 18);
+        ctx.fillStyle = '#212529';
+        ctx.fillText(chartCrosshair.label, lx + 5, chartArea.top + 13);
+      }
+      ctx.restore();
+    }
+  };
+
+  // Yükseklik grafiğinde tırmanış aralıkları kategori renginde gölgelenir (veri setlerinin arkasında)
+  const climbPlugin = {
+    id: 'climbs',
+    beforeDatasetsDraw(chart) {
+      const { ctx, chartArea, scales } = chart;
+      ctx.save();
+      ctx.font = '11px Inter, sans-serif';
+      shownClimbs().forEach(({ index, k, climb }) => {
+        const range = climbChartRange(index, climb);
+        if (!range) return;
+        const x0 = Math.max(chartArea.left, scales.x.getPixelForValue(i18n.dist(range[0])));
+        const x1 = Math.min(chartArea.right, scales.x.getPixelForValue(i18n.dist(range[1])));
+        if (!(x1 > x0)) return;
+        const color = climbCategory(climb.category).color;
+        const selected = selectedClimb && selectedClimb.index === index && selectedClimb.k === k;
+        ctx.fillStyle = color + (selected ? '44' : '1a');
+        ctx.fillRect(x0, chartArea.top, x1 - x0, chartArea.bottom - chartArea.top);
+        if (x1 - x0 > 24) {
+          ctx.fillStyle = color;
+          ctx.fillText(i18n.t('climb.cat.' + climb.category), x0 + 3, chartArea.bottom - 4);
+        }
+      });
+      ctx.restore();
+    }
+  };
+
+  // Grafiklerin x ekseni gösterim biriminde (km ya da mi); chartCrosshair ve harita tarafı hep km
+  function linkedChartOptions(tooltipLabel) {
+    return {
+      onHover: (evt, _els, chart) => {
+        if (chartCrosshair && chartCrosshair.pinned) return;
+        const km = i18n.toKm(chart.scales.x.getValueForPixel(evt.x));
+        if (!Number.isFinite(km)) return;
+        // hizalı yükseklik profilinde x ekseni referans rotanın mesafesidir
+        const aligned = chart === elevationChart && profileReference != null;
+        showHoverMarkers(km, aligned);
+        setChartCrosshair(aligned ? { km: null, refKm: km, pinned: false } : { km, pinned: false });
+      },
+      plugins: {
+        tooltip: {
+          callbacks: {
+            title: items => (items.length ? i18n.formatKm(i18n.toKm(items[0].parsed.x)) : ''),
+            label: item => `${item.dataset.label}: ${tooltipLabel(item.parsed.y)}`
+          }
+        }
+      }
+    };
+  }
+
+  // Eksen başlıkları ve hız/tempo seçeneklerinin birimleri
+  function updateChartAxes() {
+    const distTitle = i18n.t('chart.distance', { unit: i18n.unit('dist') });
+    const ref = profileReference != null ? tracksData[profileReference] : null;
+    const x = elevationChart.options.scales.x;
+    x.title.text = ref ? i18n.t('chart.distanceAlong', { name: ref.name, unit: i18n.unit('dist') }) : distTitle;
+    // parsing: false veri setlerini sıralı sayar, eksen aralığını ilk/son noktadan alır;
+    // hizalı profiller referansta ileri geri gidebildiğinden aralık referansın boyu olarak önerilir
+    x.suggestedMin = ref ? 0 : undefined;
+    x.suggestedMax = ref ? i18n.dist(ref.totalDistance) : undefined;
+    elevationChart.options.scales.y.title.text = i18n.t('chart.elevation', { unit: i18n.unit('short') });
+    if (speedMetricSelect) {
+      [...speedMetricSelect.options].forEach(opt => { opt.textContent = speedMetricTitle(opt.value); });
+    }
+    if (!speedChart) return;
+    speedChart.options.scales.x.title.text = distTitle;
+    speedChart.options.scales.y.title.text = speedMetricTitle(speedMetric);
+  }
+
+  function speedMetricTitle(metric) {
+    if (metric === 'pace') return i18n.t('chart.pace', { unit: i18n.unit('pace') });
+    if (metric === 'speed') return i18n.t('chart.speed', { unit: i18n.unit('speed') });
+    return i18n.t(`chart.${metric}`, { unit: sensorUnit(metric) });
+  }
+
   function initChart() {
     const ctx = document.getElementById('elevChart').getContext('2d');
     elevationChart = new Chart(ctx, {
@@ -68,11 +386,42 @@ document.addEventListener('DOMContentLoaded', () => {
         interaction: { mode: 'index', intersect: false },
         elements: { point: { radius: 0 } },
         scales: {
-          x: { type: 'linear', title: { display: true, text: 'Mesafe (km)' } },
-          y: { title: { display: true, text: 'Yükseklik (m)' } }
-        }
-      }
+          x: { type: 'linear', title: { display: true, text: '' } },
+          y: { title: { display: true, text: '' } }
+        },
+        ...linkedChartOptions(y => `${Math.round(y)} ${i18n.unit('short')}`)
+      },
+      plugins: [climbPlugin, crosshairPlugin]
+    });
+    ctx.canvas.addEventListener('mouseleave', clearChartHover);
+  }
+
+  function initSpeedChart() {
+    const canvas = document.getElementById('speedChart');
+    if (!canvas) return;
+    speedChart = new Chart(canvas.getContext('2d'), {
+      type: 'line',
+      data: { datasets: [] },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        parsing: false,
+        interaction: { mode: 'index', intersect: false },
+        elements: { point: { radius: 0 } },
+        scales: {
+          x: { type: 'linear', title: { display: true, text: '' } },
+          y: { title: { display: true, text: '' }, reverse: false }
+        },
+        ...linkedChartOptions(y => {
+          if (speedMetric === 'pace') return `${formatPace(y)} ${i18n.unit('pace')}`;
+          if (speedMetric === 'speed') return `${y.toFixed(1)} ${i18n.unit('speed')}`;
+          return `${y.toFixed(sensorOf(speedMetric).digits)} ${sensorUnit(speedMetric)}`;  // y zaten gösterim biriminde
+        })
+      },
+      plugins: [crosshairPlugin]
     });
+    canvas.addEventListener('mouseleave', clearChartHover);
   }
 
   // --- Sidebar stats section ---
@@ -85,7 +434,7 @@ document.addEventListener('DOMContentLoaded', () => {
     statsSection.style.display = 'none';
 
     const title = document.createElement('h2');
-    title.textContent = 'Karşılaştırma Sonuçları';
+    title.dataset.i18n = 'stats.heading';
 
     const contentDiv = document.createElement('div');
     contentDiv.id = 'stats-content';
@@ -95,9 +444,55 @@ document.addEventListener('DOMContentLoaded', () => {
         .stats-section li { background:#f8f9fa; border:1px solid #dee2e6; padding:10px 15px; border-radius:8px;
                             margin-bottom:8px; font-size:.95rem; display:flex; justify-content:space-between; }
         .stats-section li strong { color:#495057; }
+        #stats-matrix { overflow-x:auto; }
+        .stats-matrix { width:100%; border-collapse:collapse; margin-bottom:10px; font-size:.85rem; }
+        .stats-matrix th, .stats-matrix td { border:1px solid #dee2e6; padding:6px; text-align:center; white-space:nowrap; }
+        .stats-matrix th { background:#f8f9fa; font-weight:500; max-width:90px; overflow:hidden; text-overflow:ellipsis; }
+        .stats-matrix td[data-key] { cursor:pointer; }
+        .stats-matrix td[data-key]:hover { background:#fff8d6; }
+        .stats-matrix td.selected { background:#ffd000; font-weight:700; }
+        .stats-matrix .stats-diag { color:#adb5bd; }
+        .stats-dot { display:inline-block; width:10px; height:10px; border-radius:50%; margin-right:4px; vertical-align:middle; }
+        .stats-all { background:#f8f9fa; border:1px solid #dee2e6; padding:8px 15px; border-radius:8px; margin-bottom:8px;
+                     font-size:.95rem; display:flex; justify-content:space-between; cursor:pointer; }
+        .stats-all.selected { background:#ffd000; }
+        .stats-section li.overlap-kind { padding:5px 15px 5px 27px; font-size:.85rem; }
+        .overlap-swatch { display:inline-block; width:18px; border-top-width:4px; margin-right:6px; vertical-align:middle; }
+        .overlap-progress { display:flex; align-items:center; gap:8px; margin-bottom:8px; font-size:.85rem; color:#495057; }
+        .overlap-progress progress { flex:1; min-width:60px; }
+        .overlap-progress button { border:1px solid #ced4da; background:#fff; border-radius:6px; padding:3px 8px; cursor:pointer; font:inherit; }
+        .divergence-list { overflow-x:auto; margin-bottom:8px; }
+        .divergence-list h3 { font-size:.9rem; font-weight:500; color:#495057; margin:.6rem 0 .35rem; }
+        .divergence-list td.own { font-weight:600; }
+        .divergence-list tr.selected { background:#fff8d6; }
+        .divergence-list .muted { color:#adb5bd; font-size:.85rem; margin:0 0 .35rem; }
+        .stats-export { display:flex; flex-wrap:wrap; align-items:center; gap:6px; margin-top:10px; font-size:.85rem; }
+        .stats-export strong { color:#495057; margin-right:4px; }
+        .stats-export button { border:1px solid #ced4da; background:#fff; border-radius:6px; padding:4px 8px; cursor:pointer; font:inherit; }
+        .stats-export button:hover { background:#f1f3f5; }
       </style>
+      <div id="overlap-progress" class="overlap-progress" style="display:none">
+        <span class="label"></span>
+        <progress max="1" value="0"></progress>
+        <button type="button" data-act="cancel"></button>
+      </div>
+      <div id="stats-matrix"></div>
       <ul></ul>
+      <div id="divergence-list" class="divergence-list"></div>
+      <div id="similarity-list" class="divergence-list"></div>
+      <div class="stats-export">
+        <strong data-i18n="export.heading"></strong>
+        <button type="button" data-export="shared-gpx" data-i18n="export.sharedGpx"></button>
+        <button type="button" data-export="shared-geojson" data-i18n="export.sharedGeojson"></button>
+        <button type="button" data-export="unique-gpx" data-i18n="export.uniqueGpx"></button>
+        <button type="button" data-export="unique-geojson" data-i18n="export.uniqueGeojson"></button>
+        <button type="button" data-export="comparison-geojson" data-i18n="export.comparisonGeojson"></button>
+      </div>
     `;
+    contentDiv.querySelectorAll('[data-export]').forEach(btn => {
+      btn.addEventListener('click', () => exportComparison(btn.dataset.export));
+    });
+    contentDiv.querySelector('#overlap-progress').addEventListener('click', onOverlapProgressAction);
     statsSection.appendChild(title);
     statsSection.appendChild(contentDiv);
 
@@ -107,298 +502,2656 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 
   // --- Inputs ---
-  function addFileInput() {
-    const trackIndex = inputsDiv.children.length;
-    if (trackIndex >= MAX_TRACKS) return;
+  const SUPPORTED_EXTENSIONS = trackImport.ACCEPT.split(',');
+  const isSupportedFile = file => SUPPORTED_EXTENSIONS.some(ext => file.name.toLowerCase().endsWith(ext));
 
-    const container = document.createElement('div');
-    container.className = 'input-container';
-    container.style.cssText = 'display:flex; align-items:center; margin-bottom:0.5rem;';
+  // Sürüklenen öğelerden dosyaları toplar; klasörler özyinelemeli açılır.
+  // webkitGetAsEntry drop olayı içinde (ilk await'ten önce) çağrılmalı.
+  async function filesFromDataTransfer(dt) {
+    const entries = [...(dt.items || [])]
+      .map(item => (item.kind === 'file' && item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+      .filter(Boolean);
+    if (!entries.length) return [...(dt.files || [])];
+
+    const files = [];
+    const walk = async entry => {
+      if (entry.isFile) {
+        files.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+      } else if (entry.isDirectory) {
+        const reader = entry.createReader();
+        let batch;
+        do {
+          batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+          for (const child of batch) await walk(child);
+        } while (batch.length);
+      }
+    };
+    for (const entry of entries) await walk(entry);
+    return files;
+  }
 
-    const input = document.createElement('input');
-    input.type = 'file';
-    input.accept = '.gpx';
-    input.dataset.index = trackIndex;
-    input.style.flexGrow = '1';
+  function initFileInputs() {
+    const fileInput = document.getElementById('fileInput');
+    const folderInput = document.getElementById('folderInput');
+    fileInput.accept = trackImport.ACCEPT;
+    [fileInput, folderInput].forEach(input => input.addEventListener('change', () => {
+      const files = [...input.files];
+      input.value = '';
+      loadFiles(files);
+    }));
 
-    const colorIndicator = document.createElement('span');
-    colorIndicator.style.cssText = `display:inline-block; width:16px; height:16px; background:${TRACK_COLORS[trackIndex]};
-                                    border-radius:50%; margin-right:10px; flex-shrink:0;`;
+    [document.getElementById('map'), document.querySelector('.sidebar')].forEach(target => {
+      if (!target) return;
+      target.addEventListener('dragover', e => {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        target.classList.add('drag-over');
+      });
+      target.addEventListener('dragleave', e => {
+        if (!target.contains(e.relatedTarget)) target.classList.remove('drag-over');
+      });
+      target.addEventListener('drop', e => {
+        e.preventDefault();
+        target.classList.remove('drag-over');
+        filesFromDataTransfer(e.dataTransfer).then(loadFiles);
+      });
+    });
 
-    container.appendChild(colorIndicator);
-    container.appendChild(input);
-    inputsDiv.appendChild(container);
+    document.getElementById('showAllBtn')?.addEventListener('click', () => {
+      trackOrder.forEach(i => { tracksData[i].visible = true; });
+      refreshTracks();
+    });
+    trackListEl.addEventListener('click', onTrackListAction);
+    trackListEl.addEventListener('change', onTrackListAction);
+  }
 
-    input.addEventListener('change', (event) => handleFileSelect(event, trackIndex));
-    addBtn.disabled = inputsDiv.children.length >= MAX_TRACKS;
+  // Ardışık bırakmalar sırayla işlensin (seçim panelleri birbirine karışmasın)
+  let loadQueue = Promise.resolve();
+  function loadFiles(files) {
+    loadQueue = loadQueue.then(() => loadFileBatch(files)).catch(err => console.error('Load batch error:', err));
+    return loadQueue;
   }
 
-  async function handleFileSelect(event, trackIndex) {
-    const file = event.target.files[0];
-    if (!file) return;
+  // Dosyaları sırayla okur; görünümler ve karşılaştırma en sonda bir kez yenilenir
+  async function loadFileBatch(files) {
+    const supported = files.filter(isSupportedFile);
+    const failed = [];
+    const added = [];
 
-    addRemoveButton(event.target.parentElement, trackIndex, file.name);
+    for (const file of supported) {
+      try {
+        // GPX, TCX, KML, GeoJSON, FIT -> aynı gpxParser modeli (importers.js)
+        const parser = await trackImport.parseFile(file);
 
-    try {
-      const gpxText = await file.text();
-      const parser = new gpxParser();
-      parser.parse(gpxText);
+        const candidates = listTrackCandidates(parser);
+        if (!candidates.length) throw new Error('Geçersiz/eksik dosya: yeterli nokta yok');
+
+        // dosyada birden çok track/rota varsa hangilerinin yükleneceğini sor
+        const chosen = candidates.length > 1 ? await chooseTracks(pendingDiv, candidates, file.name) : candidates;
+        const baseName = file.name.replace(/\.[^.]+$/, '');
 
-      processTrack(parser, trackIndex);
-      drawTrackOnMap(tracksData[trackIndex], trackIndex);
-      drawTrackOnChart(tracksData[trackIndex], trackIndex);
+        chosen.forEach((cand, k) => {
+          const index = tracksData.length;
+          processTrack(parser, cand, index, baseName);
+          const t = tracksData[index];
+          t.fileName = file.name;
+          // <wpt>'ler dosyaya ait: dosyadan yüklenen ilk rotada tutulur/aç-kapa yapılır
+          if (k === 0) {
+            t.waypoints = (parser.waypoints || [])
+              .filter(w => Number.isFinite(w.lat) && Number.isFinite(w.lon))
+              .map(w => ({ name: w.name, sym: w.sym, desc: w.desc, cmt: w.cmt, lat: w.lat, lng: w.lon, ele: w.ele }));
+          }
+          addTrackToViews(index);
+          added.push(index);
+        });
+      } catch (err) {
+        console.error('Track parse/handle error:', err);
+        failed.push(file.name);
+      }
+    }
 
-      checkForOverlap();
-    } catch (err) {
-      console.error('GPX parse/handle error:', err);
-      alert('GPX dosyası okunurken bir hata oluştu.');
+    if (added.length) {
+      fitMapToTracks(added);
+      refreshTracks();
     }
+    if (failed.length) {
+      alert(i18n.t('load.failed', { files: failed.join(', ') }));
+    } else if (files.length && !supported.length) {
+      alert(i18n.t('load.unsupported'));
+    }
+  }
+
+  // Yeni rotayı listenin sonuna, haritaya ve grafiklere ekler; görünümlerin yenilenmesi çağırana kalır
+  function addTrackToViews(index) {
+    const t = tracksData[index];
+    trackOrder.push(index);
+    drawTrackOnMap(t, index);
+    drawWaypoints(index);
+    drawTrackOnChart(t, index);
+    drawTrackOnSpeedChart(t, index);
+  }
+
+  // Dosyadaki yüklenebilir her <trk> ve <rte>: { kind, index, name, label }
+  function listTrackCandidates(gpx) {
+    const list = [];
+    const add = (kind, items, prefix) => (items || []).forEach((tr, index) => {
+      const count = Array.isArray(tr.points) ? tr.points.length : 0;
+      if (count < 2) return;
+      const km = i18n.formatKm(tr.distance && tr.distance.total ? tr.distance.total / 1000 : 0);
+      const segs = tr.segments && tr.segments.length > 1 ? i18n.t('chooser.parts', { n: tr.segments.length }) : '';
+      const name = tr.name || `${prefix} #${index + 1}`;
+      list.push({ kind, index, name, label: `${prefix}: ${name} (${km}${segs})` });
+    });
+    add('track', gpx && gpx.tracks, i18n.t('chooser.track'));
+    add('route', gpx && gpx.routes, i18n.t('chooser.route'));
+    return list;
+  }
+
+  // Seçim listesi gösterir; "Yükle" ile seçilenler, "Atla" ile [] döner
+  function chooseTracks(container, candidates, fileName) {
+    return new Promise(resolve => {
+      const panel = document.createElement('div');
+      panel.className = 'track-chooser';
+      panel.innerHTML = `
+        <div style="color:#495057; margin-bottom:.35rem;">${i18n.t('chooser.prompt', { file: `<strong>${escapeHtml(fileName)}</strong>` })}</div>
+        ${candidates.map((c, i) => `
+          <label style="display:flex; gap:.4rem; align-items:center; padding:.15rem 0;">
+            <input type="checkbox" value="${i}" ${i === 0 ? 'checked' : ''} /> <span>${escapeHtml(c.label)}</span>
+          </label>`).join('')}
+        <div style="display:flex; gap:.5rem; justify-content:flex-end; margin-top:.35rem;">
+          <button type="button" data-act="cancel">${i18n.t('chooser.skip')}</button>
+          <button type="button" data-act="ok">${i18n.t('chooser.load')}</button>
+        </div>
+      `;
+      container.appendChild(panel);
+
+      panel.addEventListener('click', e => {
+        const act = e.target.dataset && e.target.dataset.act;
+        if (!act) return;
+        const picked = act === 'ok'
+          ? [...panel.querySelectorAll('input:checked')].map(cb => candidates[Number(cb.value)])
+          : [];
+        panel.remove();
+        resolve(picked);
+      });
+    });
   }
 
   // --- Track processing ---
-  function processTrack(gpx, trackIndex) {
-    const tr = gpx && gpx.tracks && gpx.tracks[0];
+  // source: listTrackCandidates'tan { kind: 'track'|'route', index }; fallbackName: adsız izler için (dosya adı)
+  function processTrack(gpx, source, trackIndex, fallbackName) {
+    const list = source.kind === 'route' ? gpx && gpx.routes : gpx && gpx.tracks;
+    const tr = list && list[source.index];
     if (!tr || !Array.isArray(tr.points) || tr.points.length < 2) {
       throw new Error('Geçersiz/eksik GPX: yeterli nokta yok');
     }
 
-    // points -> {lat,lng,ele}
-    const rawPoints = tr.points.map(p => ({
+    // <trkseg>'ler ayrı tutulur: sinyal kopukluğu düz çizgi/mesafe olarak sayılmasın.
+    // Tek noktalı parçalar çizgi oluşturamaz, atlanır.
+    const srcSegments = (Array.isArray(tr.segments) && tr.segments.length ? tr.segments : [tr.points])
+      .filter(seg => seg.length >= 2);
+    if (!srcSegments.length) throw new Error('Geçersiz/eksik GPX: yeterli nokta yok');
+
+    // points -> {lat,lng,ele,time}; ham hâli saklanır, temizlik açılıp kapandıkça türetilen alanlar yeniden kurulur
+    const rawSegments = srcSegments.map(seg => seg.map(p => ({
       lat: p.lat,
       lng: p.lon,  // gpxparser noktasında 'lon' var; bizde 'lng' olarak saklıyoruz
-      ele: (p.ele == null || isNaN(p.ele)) ? null : Number(p.ele)
-    }));
+      ele: (p.ele == null || isNaN(p.ele)) ? null : Number(p.ele),
+      time: (p.time instanceof Date && !isNaN(p.time)) ? p.time.getTime() : null,  // ms
+      ...sensorFields(p)
+    })));
+
+    tracksData[trackIndex] = {
+      name: tr.name || fallbackName || i18n.t('tracks.defaultName', { n: trackIndex + 1 }),
+      fileName: null,
+      rawSegments,
+      waypoints: [],
+      color: trackColor(trackIndex),
+      visible: true,
+      showWaypoints: true
+    };
+    deriveTrack(tracksData[trackIndex]);
+  }
+
+  // Noktanın sensör değerleri (SENSORS anahtarlarıyla); okunmayanlar null
+  function sensorFields(p) {
+    const out = {};
+    SENSORS.forEach(({ key }) => { out[key] = Number.isFinite(p[key]) ? p[key] : null; });
+    return out;
+  }
 
-    // toplam mesafe (metre) — güvenli mesafe fonksiyonu
+  // gpxparser'ın calcElevation'ı parça parça: <trkseg>'ler arasındaki yükseklik sıçraması tırmanış/iniş sayılmaz
+  function rawElevation(segments) {
+    const gpx = new gpxParser();
+    const all = gpx.calcElevation([].concat(...segments));  // min/max/avg bütün noktalardan
+    const parts = segments.map(seg => gpx.calcElevation(seg));
+    const pos = parts.reduce((sum, e) => sum + (e.pos || 0), 0);
+    const neg = parts.reduce((sum, e) => sum + (e.neg || 0), 0);
+    return { ...all, pos: pos || null, neg: neg || null };
+  }
+
+  // Ham parçalardan (GPS temizliği açıksa temizlenmiş hâllerinden) noktalar, mesafe, eğim, grafik verisi ve özetler
+  function deriveTrack(t) {
+    const cleaned = gpsCleanup.clean(t.rawSegments, { stopSpeedMps: MOVING_SPEED_MPS });
+    const usable = segs => segs.filter(seg => seg.length >= 2);
+    // temizlik bütün noktaları eleyebilir (ör. hep aynı yerde duran kayıt): rota kaybolmasın, ham veri kullanılır
+    const rawFallback = gpsCleanupEnabled && !usable(cleaned.segments).length;
+    const segments = usable(gpsCleanupEnabled && !rawFallback ? cleaned.segments : t.rawSegments)
+      .map((seg, segIndex) => seg.map(p => ({ lat: p.lat, lng: p.lng, ele: p.ele, time: p.time, ...sensorFields(p), seg: segIndex })));
+    const points = [].concat(...segments);
+
+    // Kümülatif mesafe (m): parçalar arası boşluk sayılmaz.
     let cumulativeDistance = 0;
-    for (let i = 1; i < rawPoints.length; i++) {
-      cumulativeDistance += safeDistMeters(gpx, rawPoints[i - 1], rawPoints[i]);
-    }
+    segments.forEach(seg => {
+      for (let i = 0; i < seg.length; i++) {
+        if (i > 0) cumulativeDistance += safeDistMeters(null, seg[i - 1], seg[i]);
+        seg[i].dist = cumulativeDistance;
+      }
+    });
+    // gpxparser'ın slopes'u noktadan noktaya (GPS gürültüsüyle ±%50'ler); ±GRADE_WINDOW_METERS penceresi kullanılır
+    points.forEach((p, i) => { p.grade = gradeAt(points, i); });
 
-    // Chart data: yalnızca ele değeri olan noktaları plot et
-    let chartDist = 0;
+    // Chart data: yalnızca ele değeri olan noktaları plot et; parça sınırında null ile boşluk bırak
     const chartData = [];
-    for (let i = 0; i < rawPoints.length; i++) {
-      if (i > 0) chartDist += safeDistMeters(gpx, rawPoints[i - 1], rawPoints[i]);
-      if (Number.isFinite(rawPoints[i].ele)) {
-        chartData.push({ x: chartDist / 1000, y: rawPoints[i].ele });
-      }
+    segments.forEach((seg, segIndex) => {
+      if (segIndex > 0 && chartData.length) chartData.push({ x: seg[0].dist / 1000, y: null });
+      seg.forEach(p => {
+        if (Number.isFinite(p.ele)) chartData.push({ x: p.dist / 1000, y: p.ele, g: p.grade });
+      });
+    });
+
+    Object.assign(t, {
+      points,
+      segments,                          // [[point]] — points ile aynı nesneler
+      chartData,                         // [{x,y,g}] (ele yoksa boş kalabilir; g: eğim %)
+      speedData: buildSpeedData(points),
+      timeStats: computeTimeStats(points),
+      sensorStats: computeSensorStats(points),
+      rawElevation: rawElevation(segments),  // noktadan noktaya (filtresiz) pos/neg/min/max/avg
+      cleanupReport: { ...cleaned.report, rawFallback },  // rawFallback: temiz veri yetmedi, ham kullanıldı
+      lod: {},                           // yakınlaştırma düzeyi -> haritada çizilen sadeleştirilmiş parçalar
+      lodZoom: null,                     // harita çizgisinin şu an gösterdiği düzey
+      line: null,                        // trackLine() önbelleği
+      climbs: null,                      // trackClimbs() önbelleği: { smoothMeters, list }
+      // gpxparser'ın distance.total'ı parçalar arası atlamayı da sayar; kendi toplamımızı kullanıyoruz
+      totalDistance: cumulativeDistance / 1000
+    });
+  }
+
+  // --- Time & speed ---
+  // Zaman damgası olan noktalardan pencere-yumuşatılmış hız (m/s) dizisi: [{i, dist, mps}]
+  function windowedSpeeds(points) {
+    const timed = points.filter(p => p.time != null);
+    const out = [];
+    let j = 0;
+    for (let i = 1; i < timed.length; i++) {
+      while (j < i - 1 && timed[i].time - timed[j + 1].time >= SPEED_WINDOW_SECONDS * 1000) j++;
+      const dt = (timed[i].time - timed[j].time) / 1000;
+      if (dt <= 0) continue;
+      out.push({ dist: timed[i].dist, mps: (timed[i].dist - timed[j].dist) / dt });
     }
+    return out;
+  }
+
+  function buildSpeedData(points) {
+    return windowedSpeeds(points).map(s => ({ x: s.dist / 1000, kmh: s.mps * 3.6 }));
+  }
 
-    const totalDistanceMeters = (tr.distance && tr.distance.total) ? tr.distance.total : cumulativeDistance;
+  // Toplam/hareket süresi, ortalama ve maks. hız, ortalama tempo; zaman yoksa null
+  function computeTimeStats(points) {
+    const timed = points.filter(p => p.time != null);
+    if (timed.length < 2) return null;
 
-    tracksData[trackIndex] = {
-      name: tr.name || `Rota ${trackIndex + 1}`,
-      points: rawPoints,
-      chartData,                         // [{x,y}] (ele yoksa boş kalabilir)
-      color: TRACK_COLORS[trackIndex],
-      totalDistance: totalDistanceMeters / 1000
+    const elapsedSec = (timed[timed.length - 1].time - timed[0].time) / 1000;
+    if (!(elapsedSec > 0)) return null;
+
+    let movingSec = 0;
+    let movingDist = 0;
+    for (let i = 1; i < timed.length; i++) {
+      const dt = (timed[i].time - timed[i - 1].time) / 1000;
+      const dd = timed[i].dist - timed[i - 1].dist;
+      if (dt > 0 && dd / dt >= MOVING_SPEED_MPS) { movingSec += dt; movingDist += dd; }
+    }
+
+    const maxMps = windowedSpeeds(points).reduce((m, s) => Math.max(m, s.mps), 0);
+    const avgKmh = movingSec > 0 ? (movingDist / movingSec) * 3.6 : null;
+    return {
+      elapsedSec,
+      movingSec,
+      avgKmh,
+      maxKmh: maxMps * 3.6,
+      paceMinPerKm: avgKmh ? 60 / avgKmh : null
     };
   }
 
-  // --- Drawing ---
-  function drawTrackOnMap(trackData, trackIndex) {
-    if (!trackData || !Array.isArray(trackData.points) || trackData.points.length < 2) return;
+  // Kayıtta bulunan her sensörün ortalaması ve en büyüğü: { hr: { avg, max } }; olmayanlar yer almaz
+  function computeSensorStats(points) {
+    const stats = {};
+    SENSORS.forEach(({ key }) => {
+      let sum = 0, count = 0, max = -Infinity;
+      points.forEach(p => {
+        if (p[key] == null) return;
+        sum += p[key];
+        count++;
+        if (p[key] > max) max = p[key];
+      });
+      if (count) stats[key] = { avg: sum / count, max };
+    });
+    return stats;
+  }
 
-    if (mapLayers[trackIndex]) map.removeLayer(mapLayers[trackIndex]);
+  const sensorRows = t => SENSORS.filter(s => t.sensorStats[s.key]).map(({ key }) => `
+            <dt>${i18n.t(`sensor.${key}`)}</dt><dd>${formatSensor(key, t.sensorStats[key].avg)} / ${formatSensor(key, t.sensorStats[key].max)}</dd>`).join('');
 
-    const latlngs = trackData.points.map(p => [p.lat, p.lng]);
-    const polyline = L.polyline(latlngs, {
-      color: trackData.color,
-      weight: 4,
-      opacity: 0.9,
-      lineCap: 'round',
-      lineJoin: 'round',
-      smoothFactor: 1.0,
-      renderer: canvasRenderer
-    }).addTo(map);
+  // Sensör serileri yalnız görünür rotalardan birinde veri varsa seçilebilir (seçili olan gizlenmez)
+  function renderSpeedMetricOptions() {
+    if (!speedMetricSelect) return;
+    const indices = visibleIndices();
+    [...speedMetricSelect.options].forEach(opt => {
+      if (!sensorOf(opt.value)) return;
+      opt.hidden = opt.value !== speedMetric && !indices.some(i => tracksData[i].sensorStats[opt.value]);
+    });
+  }
 
-    mapLayers[trackIndex] = polyline;
-    try {
-      map.fitBounds(polyline.getBounds().pad(0.1));
-    } catch (_) {
-      // bazı edge-case'lerde fitBounds hata verebilir; görmezden gel
+  function renderTimeStats() {
+    const box = document.getElementById('time-stats');
+    renderSpeedMetricOptions();
+    if (!box) return;
+    box.innerHTML = visibleIndices().map(i => {
+      const t = tracksData[i];
+      const head = `<h3><span class="dot" style="background:${t.color}"></span>${escapeHtml(t.name)}</h3>`;
+      const st = t.timeStats;
+      if (!st) {
+        const sensors = sensorRows(t);
+        return `<div class="track-card">${head}<p class="muted">${i18n.t('time.none')}</p>${sensors ? `<dl>${sensors}</dl>` : ''}</div>`;
+      }
+      return `
+        <div class="track-card">${head}
+          <dl>
+            <dt>${i18n.t('time.elapsed')}</dt><dd>${formatDuration(st.elapsedSec)}</dd>
+            <dt>${i18n.t('time.moving')}</dt><dd>${formatDuration(st.movingSec)}</dd>
+            <dt>${i18n.t('time.avgSpeed')}</dt><dd>${st.avgKmh != null ? i18n.speed(st.avgKmh).toFixed(1) : '–'} ${i18n.unit('speed')}</dd>
+            <dt>${i18n.t('time.maxSpeed')}</dt><dd>${i18n.speed(st.maxKmh).toFixed(1)} ${i18n.unit('speed')}</dd>
+            <dt>${i18n.t('time.avgPace')}</dt><dd>${formatPace(st.paceMinPerKm != null ? i18n.pace(st.paceMinPerKm) : null)} /${i18n.unit('dist')}</dd>${sensorRows(t)}
+          </dl>
+        </div>`;
+    }).join('');
+  }
+
+  function speedSeries(trackData) {
+    if (sensorOf(speedMetric)) {
+      // sensör okunmayan noktalar ve parça sınırları boşluk olarak kalır
+      const key = speedMetric;
+      const out = [];
+      trackData.points.forEach((p, i) => {
+        if (i > 0 && p.seg !== trackData.points[i - 1].seg && out.length) out.push({ x: i18n.dist(p.dist / 1000), y: null });
+        out.push({ x: i18n.dist(p.dist / 1000), y: p[key] != null ? sensorDisplay(key, p[key]) : null });
+      });
+      return out.some(d => d.y != null) ? out : [];
     }
+    if (speedMetric === 'pace') {
+      // çok yavaş/durma anları tempoyu sonsuza götürür: boşluk bırak
+      return trackData.speedData.map(s => {
+        const pace = s.kmh > 0 ? 60 / s.kmh : Infinity;
+        return { x: i18n.dist(s.x), y: pace <= MAX_PACE_MIN_PER_KM ? i18n.pace(pace) : null };
+      });
+    }
+    return trackData.speedData.map(s => ({ x: i18n.dist(s.x), y: i18n.speed(s.kmh) }));
   }
 
-  function drawTrackOnChart(trackData, trackIndex) {
-    // Ele hiç yoksa grafiğe dataset koymayalım (Chart.js NaN sorunlarını önler)
-    if (!trackData || !Array.isArray(trackData.chartData) || trackData.chartData.length === 0) {
-      chartDatasets[trackIndex] = null;
-      elevationChart.data.datasets = chartDatasets.filter(Boolean);
-      elevationChart.update();
-      return;
+  function drawTrackOnSpeedChart(trackData, trackIndex) {
+    if (!speedChart) return;
+    const series = trackData ? speedSeries(trackData) : [];
+    if (!series.length) {
+      speedDatasets[trackIndex] = null;
+    } else {
+      speedDatasets[trackIndex] = {
+        label: trackData.name,
+        data: downsampleSeries(series, CHART_MAX_POINTS),
+        borderColor: trackData.color,
+        backgroundColor: trackData.color + '33',
+        borderWidth: 1.5,
+        fill: false,
+        spanGaps: false,
+        pointRadius: 0
+      };
     }
-    const ds = {
-      label: `${trackData.name} (${trackData.totalDistance.toFixed(2)} km)`,
-      data: trackData.chartData,
-      borderColor: trackData.color,
-      backgroundColor: trackData.color + '33',
-      borderWidth: 2,
-      fill: false,
-      spanGaps: true,
-      pointRadius: 0
+    syncChartDatasets();
+  }
+
+  function setSpeedMetric(metric) {
+    speedMetric = metric === 'pace' || sensorOf(metric) ? metric : 'speed';
+    renderSpeedMetricOptions();
+    if (!speedChart) return;
+    updateChartAxes();
+    speedChart.options.scales.y.reverse = speedMetric === 'pace';  // tempoda küçük değer = hızlı: üstte kalsın
+    visibleIndices().forEach(i => drawTrackOnSpeedChart(tracksData[i], i));
+    scheduleSave();
+  }
+
+  // --- Elevation summary ---
+  // Mesafe tabanlı hareketli ortalama (pencere: ±smoothMeters/2); ele'si olmayan noktalar atlanır
+  function smoothElevations(points, smoothMeters) {
+    const pts = points.filter(p => p.ele != null);
+    if (!(smoothMeters > 0)) return pts.map(p => p.ele);
+    const half = smoothMeters / 2;
+    const out = [];
+    let lo = 0, hi = 0, sum = 0;
+    for (let i = 0; i < pts.length; i++) {
+      while (hi < pts.length && pts[hi].dist - pts[i].dist <= half) sum += pts[hi++].ele;
+      while (pts[i].dist - pts[lo].dist > half) sum -= pts[lo++].ele;
+      out.push(sum / (hi - lo));
+    }
+    return out;
+  }
+
+  // Noktaları <trkseg> parçalarına ayırır (p.seg): yumuşatma ve tırmanışlar parça sınırını aşmasın
+  function splitBySegment(points) {
+    const segs = [];
+    points.forEach((p, i) => {
+      if (i === 0 || p.seg !== points[i - 1].seg) segs.push([]);
+      segs[segs.length - 1].push(p);
+    });
+    return segs;
+  }
+
+  // Histerezisli toplam: referans seviyeden en az eşik kadar uzaklaşınca fark sayılır ve referans güncellenir;
+  // her <trkseg> ayrı yumuşatılıp toplanır, parçalar arasındaki yükseklik sıçraması tırmanış/iniş sayılmaz
+  function filteredElevationGain(points, { smoothMeters, hysteresisMeters }) {
+    let gain = 0, loss = 0, measured = false;
+    splitBySegment(points).forEach(seg => {
+      const eles = smoothElevations(seg, smoothMeters);
+      if (eles.length < 2) return;
+      measured = true;
+      let ref = eles[0];
+      for (const e of eles) {
+        if (e - ref >= hysteresisMeters) { gain += e - ref; ref = e; }
+        else if (ref - e >= hysteresisMeters) { loss += ref - e; ref = e; }
+      }
+    });
+    return measured ? { gain, loss } : null;
+  }
+
+  function renderElevationStats() {
+    const box = document.getElementById('elevation-stats');
+    if (!box) return;
+    const m = i18n.formatMeters;
+    box.innerHTML = visibleIndices().map(i => {
+      const t = tracksData[i];
+      const head = `<h3><span class="dot" style="background:${t.color}"></span>${escapeHtml(t.name)}</h3>`;
+      const filtered = filteredElevationGain(t.points, elevationFilter);
+      if (!filtered) return `<div class="track-card">${head}<p class="muted">${i18n.t('elevation.none')}</p></div>`;
+      const raw = t.rawElevation || {};
+      return `
+        <div class="track-card">${head}
+          <dl>
+            <dt>${i18n.t('elevation.gain')}</dt><dd>${m(filtered.gain)} <small class="muted">${i18n.t('elevation.raw', { v: m(raw.pos || 0) })}</small></dd>
+            <dt>${i18n.t('elevation.loss')}</dt><dd>${m(filtered.loss)} <small class="muted">${i18n.t('elevation.raw', { v: m(raw.neg || 0) })}</small></dd>
+            <dt>${i18n.t('elevation.minMax')}</dt><dd>${m(raw.min)} / ${m(raw.max)}</dd>
+            <dt>${i18n.t('elevation.avg')}</dt><dd>${m(raw.avg)}</dd>
+          </dl>
+          ${gradeHistogramHtml(t)}
+        </div>`;
+    }).join('');
+  }
+
+  function initElevationFilterControls() {
+    const smoothInput = document.getElementById('elevSmooth');
+    const hystInput = document.getElementById('elevHysteresis');
+    if (!smoothInput || !hystInput) return;
+    const onChange = () => {
+      const smooth = readMeterInput(smoothInput);
+      const hyst = readMeterInput(hystInput);
+      elevationFilter = {
+        smoothMeters: Number.isFinite(smooth) && smooth >= 0 ? smooth : DEFAULT_ELEV_SMOOTH_METERS,
+        hysteresisMeters: Number.isFinite(hyst) && hyst >= 0 ? hyst : DEFAULT_ELEV_HYSTERESIS_METERS
+      };
+      renderElevationStats();
+      renderClimbs();
+      scheduleSave();
     };
-    chartDatasets[trackIndex] = ds;
-    elevationChart.data.datasets = chartDatasets.filter(Boolean);
-    elevationChart.update();
+    smoothInput.addEventListener('input', onChange);
+    hystInput.addEventListener('input', onChange);
+  }
+
+  // --- Climbs ---
+  // Tırmanışlar yumuşatılmış profilde (elevationFilter.smoothMeters) aranır: en düşük noktadan başlar,
+  // zirveden CLIMB_MAX_DIP_METERS inilince ya da CLIMB_MAX_FLAT_METERS boyunca yükselmeyince biter.
+  // Kategori, uzunluk × ortalama eğim puanıyla CLIMB_CATEGORIES'ten seçilir.
+  // Her <trkseg> ayrı aranır: sinyal boşluğunu aşan bir tırmanış kaydedilmemiş yolu saymasın.
+  function climbCategory(key) {
+    return CLIMB_CATEGORIES.find(c => c.key === key);
   }
 
-  function addRemoveButton(container, trackIndex, fileName) {
-    container.querySelector('button')?.remove();
-    container.querySelector('span.file-name')?.remove();
+  function detectClimbs(points, smoothMeters) {
+    return [].concat(...splitBySegment(points).map(seg => detectSegmentClimbs(seg, smoothMeters)));
+  }
+
+  function detectSegmentClimbs(points, smoothMeters) {
+    const pts = points.filter(p => p.ele != null);
+    const eles = smoothElevations(pts, smoothMeters);
+    const climbs = [];
+    const close = (lo, hi) => {
+      const length = pts[hi].dist - pts[lo].dist;
+      const gain = eles[hi] - eles[lo];
+      if (!(length > 0)) return;
+      const avgGrade = gain / length * 100;
+      const category = CLIMB_CATEGORIES.find(c => length * avgGrade >= c.minScore);
+      if (avgGrade < CLIMB_MIN_GRADE || !category) return;
+      const span = pts.slice(lo, hi + 1);
+      climbs.push({
+        startKm: pts[lo].dist / 1000,
+        endKm: pts[hi].dist / 1000,
+        length,
+        gain,
+        avgGrade,
+        maxGrade: Math.max(...span.map(p => (p.grade == null ? -Infinity : p.grade))),
+        category: category.key,
+        start: pts[lo],
+        mid: pts[(lo + hi) >> 1],
+        end: pts[hi],
+        points: span
+      });
+    };
+
+    let lo = 0, hi = 0;
+    for (let i = 1; i < pts.length; i++) {
+      if (eles[i] > eles[hi]) {
+        hi = i;
+      } else if (hi > lo && (eles[hi] - eles[i] >= CLIMB_MAX_DIP_METERS || pts[i].dist - pts[hi].dist > CLIMB_MAX_FLAT_METERS)) {
+        close(lo, hi);
+        lo = hi = i;
+        continue;
+      }
+      if (eles[i] <= eles[lo]) lo = hi = i;
+    }
+    if (hi > lo) close(lo, hi);
+    return climbs;
+  }
 
-    const nameSpan = document.createElement('span');
-    nameSpan.textContent = fileName.length > 26 ? fileName.substring(0, 24) + '…' : fileName;
-    nameSpan.className = 'file-name';
-    nameSpan.style.cssText = 'font-size:.9rem; color:#6c757d; white-space:nowrap; overflow:hidden; text-overflow:ellipsis;';
+  function trackClimbs(i) {
+    const t = tracksData[i];
+    if (!t.climbs || t.climbs.smoothMeters !== elevationFilter.smoothMeters) {
+      t.climbs = { smoothMeters: elevationFilter.smoothMeters, list: detectClimbs(t.points, elevationFilter.smoothMeters) };
+    }
+    return t.climbs.list;
+  }
 
-    const removeBtn = document.createElement('button');
-    removeBtn.textContent = '×';
-    removeBtn.title = 'Rotayı kaldır';
-    removeBtn.style.cssText = 'margin-left:10px; cursor:pointer; border:none; background:#dc3545; color:#fff; border-radius:50%; width:22px; height:22px; line-height:22px; text-align:center; flex-shrink:0;';
+  // Aynı yokuş: tırmanışın başı, ortası ve sonu j rotasına aynı yönde izdüşer ve j'nin bir tırmanışı
+  // bu aralıkla kısa olanın en az CLIMB_MATCH_SHARE'i kadar örtüşür. Eşleşen tırmanışın sırası, yoksa -1
+  function matchClimb(climb, j) {
+    const line = trackLine(j);
+    const maxMeters = overlapSettings.thresholdMeters + overlapSettings.exitMarginMeters;
+    const proj = [climb.start, climb.mid, climb.end].map(p => overlapEngine.projectOnLine(line, [p.lng, p.lat], maxMeters));
+    if (proj.some(pr => !pr) || !(proj[2].km > proj[0].km)) return -1;
+    const lo = proj[0].km, hi = proj[2].km;
+    let best = -1, bestShare = CLIMB_MATCH_SHARE;
+    trackClimbs(j).forEach((c, k) => {
+      const share = (Math.min(hi, c.endKm) - Math.max(lo, c.startKm)) / Math.min(hi - lo, c.endKm - c.startKm);
+      if (share >= bestShare) { best = k; bestShare = share; }
+    });
+    return best;
+  }
 
-    container.querySelector('input').style.display = 'none';
-    container.appendChild(nameSpan);
-    container.appendChild(removeBtn);
+  // Görünür rotaların tırmanışları yokuş gruplarına ayrılır: 'index:k' -> grup no (sırayla, 1'den)
+  function groupClimbs(indices) {
+    const groups = new Map();
+    let next = 0;
+    indices.forEach((i, pos) => trackClimbs(i).forEach((climb, k) => {
+      let group = null;
+      for (const j of indices.slice(0, pos)) {
+        const m = matchClimb(climb, j);
+        if (m >= 0) { group = groups.get(`${j}:${m}`); break; }
+      }
+      groups.set(`${i}:${k}`, group != null ? group : ++next);
+    }));
+    return groups;
+  }
 
-    removeBtn.onclick = () => removeTrack(trackIndex, container);
+  // Haritada ve grafikte vurgulanacak tırmanışlar: hepsi (showClimbs) ya da yalnız seçilen
+  function shownClimbs() {
+    const out = [];
+    visibleIndices().forEach(index => {
+      if (!showClimbs && !(selectedClimb && selectedClimb.index === index)) return;
+      trackClimbs(index).forEach((climb, k) => {
+        if (showClimbs || selectedClimb.k === k) out.push({ index, k, climb });
+      });
+    });
+    return out;
   }
 
-  function removeTrack(trackIndex, container) {
-    tracksData[trackIndex] = null;
+  // Grafikteki km aralığı; hizalı profilde referansa izdüşmeyen tırmanış çizilmez
+  function climbChartRange(index, climb) {
+    if (profileReference == null || index === profileReference) return [climb.startKm, climb.endKm];
+    const a = referenceKm(index, climb.start), b = referenceKm(index, climb.end);
+    return a != null && b != null ? [Math.min(a, b), Math.max(a, b)] : null;
+  }
 
-    if (mapLayers[trackIndex]) {
-      map.removeLayer(mapLayers[trackIndex]);
-      mapLayers[trackIndex] = null;
+  function drawClimbs() {
+    if (climbLayer) { map.removeLayer(climbLayer); climbLayer = null; }
+    const shown = shownClimbs();
+    if (shown.length) {
+      climbLayer = L.featureGroup().addTo(map);
+      shown.forEach(({ index, k, climb }) => {
+        const selected = selectedClimb && selectedClimb.index === index && selectedClimb.k === k;
+        L.polyline(climb.points.map(p => [p.lat, p.lng]), {
+          color: climbCategory(climb.category).color,
+          weight: selected ? 14 : 10,
+          opacity: selected ? 0.6 : 0.35,
+          lineCap: 'round',
+          lineJoin: 'round',
+          interactive: false,
+          renderer: canvasRenderer
+        }).addTo(climbLayer);
+      });
+      climbLayer.bringToBack();  // rotaların altında: üstlerindeki gezinme/tıklama bozulmasın
     }
-    if (chartDatasets[trackIndex]) {
-      chartDatasets[trackIndex] = null;
-      elevationChart.data.datasets = chartDatasets.filter(Boolean);
-      elevationChart.update();
+    elevationChart.draw();
+  }
+
+  function renderClimbs() {
+    const section = document.getElementById('climb-section');
+    const list = document.getElementById('climb-list');
+    if (!section || !list) return;
+    const indices = visibleIndices();
+    if (selectedClimb && (!indices.includes(selectedClimb.index) || !trackClimbs(selectedClimb.index)[selectedClimb.k])) selectedClimb = null;
+    const groups = groupClimbs(indices);
+    const members = new Map();  // grup no -> [{ index, k }]
+    groups.forEach((group, key) => {
+      const [index, k] = key.split(':').map(Number);
+      if (!members.has(group)) members.set(group, []);
+      members.get(group).push({ index, k });
+    });
+
+    const head = ['climb.number', 'climb.range', 'climb.length', 'climb.gain', 'climb.avgGrade', 'climb.maxGrade', 'climb.category', 'climb.shared']
+      .map(key => `<th>${i18n.t(key)}</th>`).join('');
+    const pct = v => (Number.isFinite(v) ? i18n.t('format.percent', { v: v.toFixed(1) }) : '—');
+    list.innerHTML = indices.map(index => {
+      const t = tracksData[index];
+      const climbs = trackClimbs(index);
+      const title = `<h3><span class="dot" style="background:${t.color}"></span>${escapeHtml(t.name)}</h3>`;
+      if (!climbs.length) return `<div class="climb-track">${title}<p class="muted">${i18n.t('climb.none')}</p></div>`;
+      const rows = climbs.map((c, k) => {
+        const others = members.get(groups.get(`${index}:${k}`)).filter(m => m.index !== index)
+          .map(m => `<span class="dot" style="background:${tracksData[m.index].color}"></span>${escapeHtml(tracksData[m.index].name)} #${m.k + 1}`);
+        const selected = selectedClimb && selectedClimb.index === index && selectedClimb.k === k;
+        const cat = climbCategory(c.category);
+        return `
+          <tr data-index="${index}" data-k="${k}" class="${selected ? 'selected' : ''}">
+            <td>#${k + 1}</td>
+            <td class="num">${i18n.dist(c.startKm).toFixed(2)}–${i18n.formatKm(c.endKm)}</td>
+            <td class="num">${i18n.formatKm(c.length / 1000)}</td>
+            <td class="num">${i18n.formatMeters(c.gain)}</td>
+            <td class="num">${pct(c.avgGrade)}</td>
+            <td class="num">${pct(c.maxGrade)}</td>
+            <td><span class="climb-cat" style="background:${cat.color}">${i18n.t('climb.cat.' + c.category)}</span></td>
+            <td>${others.join('<br>') || '—'}</td>
+          </tr>`;
+      }).join('');
+      return `
+        <div class="climb-track">${title}
+          <div class="table-wrap"><table class="data-table"><thead><tr>${head}</tr></thead><tbody>${rows}</tbody></table></div>
+        </div>`;
+    }).join('');
+    section.style.display = indices.length ? 'block' : 'none';
+    drawClimbs();
+  }
+
+  // Satıra tıklamak tırmanışı seçer ve haritada ona yaklaşır; yeniden tıklamak seçimi kaldırır
+  function selectClimb(index, k) {
+    const same = selectedClimb && selectedClimb.index === index && selectedClimb.k === k;
+    selectedClimb = same ? null : { index, k };
+    if (selectedClimb) {
+      const climb = trackClimbs(index)[k];
+      map.fitBounds(L.latLngBounds(climb.points.map(p => [p.lat, p.lng])), { padding: [40, 40] });
     }
+    renderClimbs();
+  }
 
-    container.innerHTML = '';
-    const input = document.createElement('input');
-    input.type = 'file';
-    input.accept = '.gpx';
-    input.dataset.index = trackIndex;
-    input.style.flexGrow = '1';
-    input.addEventListener('change', (event) => handleFileSelect(event, trackIndex));
+  function initClimbControls() {
+    const box = document.getElementById('showClimbs');
+    if (box) {
+      box.checked = showClimbs;
+      box.addEventListener('change', () => {
+        showClimbs = box.checked;
+        drawClimbs();
+        scheduleSave();
+      });
+    }
+    document.getElementById('climb-list')?.addEventListener('click', e => {
+      const row = e.target.closest('tr[data-k]');
+      if (row) selectClimb(Number(row.dataset.index), Number(row.dataset.k));
+    });
+  }
 
-    const colorIndicator = document.createElement('span');
-    colorIndicator.style.cssText = `display:inline-block; width:16px; height:16px; background:${TRACK_COLORS[trackIndex]};
-                                    border-radius:50%; margin-right:10px; flex-shrink:0;`;
+  // --- Grade coloring ---
+  // Eğim modunda harita çizgileri ve yükseklik profilinin altı GRADE_BANDS renklerine boyanır;
+  // eğimi bilinmeyen (ele'siz) kısımlar rotanın kendi renginde kalır
+  function gradeBandIndex(grade) {
+    if (grade == null) return -1;
+    let b = 0;
+    while (b + 1 < GRADE_BANDS.length && grade >= GRADE_BANDS[b + 1].min) b++;
+    return b;
+  }
 
-    container.appendChild(colorIndicator);
-    container.appendChild(input);
+  // Chart.js segment stili: parçanın başlangıç noktasının bandı
+  function gradeSegmentFill(ctx) {
+    const d = ctx.chart.data.datasets[ctx.datasetIndex].data[ctx.p0DataIndex];
+    const b = gradeBandIndex(d && d.g);
+    return b < 0 ? 'transparent' : GRADE_BANDS[b].color + '66';
+  }
 
-    checkForOverlap();
-    addBtn.disabled = inputsDiv.children.length >= MAX_TRACKS;
+  // Aynı banttaki ardışık kenarlar tek çizgi olur; kenarın bandı başlangıç noktasının eğimidir
+  function buildGradeLayer(trackData, trackIndex) {
+    const group = L.featureGroup();
+    lodSegments(trackData, map.getZoom()).forEach(seg => {
+      let run = null;
+      for (let j = 0; j < seg.length - 1; j++) {
+        const b = gradeBandIndex(seg[j].grade);
+        const color = b < 0 ? trackData.color : GRADE_BANDS[b].color;
+        if (!run || run.options.color !== color) {
+          run = L.polyline([[seg[j].lat, seg[j].lng]], {
+            color,
+            weight: 4,
+            opacity: 0.9,
+            lineCap: 'round',
+            lineJoin: 'round',
+            smoothFactor: 1.0,
+            renderer: canvasRenderer
+          }).addTo(group);
+        }
+        run.addLatLng([seg[j + 1].lat, seg[j + 1].lng]);
+      }
+    });
+    group.bindTooltip(escapeHtml(trackData.name), { sticky: true });
+    bindTrackHover(group, trackIndex);
+    return group;
   }
 
-  // --- Overlap & stats ---
-  function clearOverlapStats() {
-    const statsSection = document.getElementById('stats-section');
-    if (!statsSection) return;
-    statsSection.style.display = 'none';
-    const ul = statsSection.querySelector('#stats-content ul');
-    if (ul) ul.innerHTML = '';
+  // Rotanın haritada gösterilen katmanı: renk moduna göre düz çizgi ya da eğim grubu
+  function trackLayer(i) {
+    if (colorMode !== 'grade') return mapLayers[i];
+    if (!gradeLayers[i] && tracksData[i]) gradeLayers[i] = buildGradeLayer(tracksData[i], i);
+    return gradeLayers[i];
   }
 
-  function displayOverlapStats(overlapKm, track1, track2) {
-    const statsSection = document.getElementById('stats-section');
-    const contentUl = statsSection?.querySelector('#stats-content ul');
-    if (!statsSection || !contentUl) return;
+  // Her eğim bandında geçen mesafe (m); eğimi bilinmeyen kenarlar sayılmaz
+  function gradeHistogram(t) {
+    const meters = GRADE_BANDS.map(() => 0);
+    t.segments.forEach(seg => {
+      for (let j = 0; j < seg.length - 1; j++) {
+        const b = gradeBandIndex(seg[j].grade);
+        if (b >= 0) meters[b] += seg[j + 1].dist - seg[j].dist;
+      }
+    });
+    return meters;
+  }
 
-    const overlapKmFormatted = overlapKm.toFixed(2);
-    const t1 = Math.max(0, track1.totalDistance - overlapKm).toFixed(2);
-    const t2 = Math.max(0, track2.totalDistance - overlapKm).toFixed(2);
+  function gradeHistogramHtml(t) {
+    const meters = gradeHistogram(t);
+    const total = meters.reduce((a, b) => a + b, 0);
+    if (!(total > 0)) return '';
+    const rows = GRADE_BANDS.map((band, b) => {
+      const pct = meters[b] / total * 100;
+      return `
+        <div class="grade-row">
+          <span class="grade-label">${i18n.t('grade.' + band.key)}</span>
+          <span class="grade-bar"><span style="width:${pct.toFixed(1)}%; background:${band.color}"></span></span>
+          <span class="grade-value">${i18n.formatKm(meters[b] / 1000, 1)} · ${i18n.t('format.percent', { v: Math.round(pct) })}</span>
+        </div>`;
+    }).join('');
+    return `<div class="grade-hist"><h4>${i18n.t('grade.histogram')}</h4>${rows}</div>`;
+  }
 
-    contentUl.innerHTML = `
-      <li><strong>Ortak Mesafe:</strong> <span>${overlapKmFormatted} km</span></li>
-      <li><strong>${track1.name} Farkı:</strong> <span>${t1} km</span></li>
-      <li><strong>${track2.name} Farkı:</strong> <span>${t2} km</span></li>
-    `;
-    statsSection.style.display = 'block';
+  function renderGradeLegend() {
+    if (colorMode !== 'grade') {
+      if (gradeLegend) { gradeLegend.remove(); gradeLegend = null; }
+      return;
+    }
+    if (!gradeLegend) {
+      gradeLegend = L.control({ position: 'bottomright' });
+      gradeLegend.onAdd = () => L.DomUtil.create('div', 'grade-legend');
+      gradeLegend.addTo(map);
+    }
+    gradeLegend.getContainer().innerHTML = `<strong>${i18n.t('grade.legend')}</strong>` + GRADE_BANDS.map(band =>
+      `<div><i style="background:${band.color}"></i>${i18n.t('grade.' + band.key)}</div>`).join('');
   }
 
-  function checkForOverlap() {
-    clearOverlapStats();
-    if (overlapLayer) { map.removeLayer(overlapLayer); overlapLayer = null; }
+  function setColorMode(mode) {
+    colorMode = mode === 'grade' ? 'grade' : 'track';
+    syncMapLayers();
+    drawOverlapSelection();  // ortak kısım vurgusu eğim çizgilerinin üstünde kalsın
+    redrawElevationProfiles();
+    renderGradeLegend();
+    scheduleSave();
+  }
+
+  // --- GPS cleanup ---
+  // Rapor, temizlik kapalıyken de gösterilir: ham veriyle çalışırken neyin atılacağı görülsün
+  function renderCleanupReport() {
+    const section = document.getElementById('cleanup-section');
+    const table = document.getElementById('cleanup-table');
+    if (!section || !table) return;
+    const indices = visibleIndices();
+    section.style.display = trackOrder.length ? 'block' : 'none';
+    if (!indices.length) { table.innerHTML = ''; return; }
+
+    const head = ['cleanup.track', 'cleanup.duplicates', 'cleanup.spikes', 'cleanup.jitter', 'cleanup.elevation', 'cleanup.distance', 'cleanup.ascent']
+      .map(key => `<th>${i18n.t(key)}</th>`).join('');
+    const rows = indices.map(i => {
+      const t = tracksData[i];
+      const r = t.cleanupReport;
+      const ascent = r.ascentBefore > 0 ? `${i18n.formatMeters(r.ascentBefore)} → ${i18n.formatMeters(r.ascentAfter)}` : '—';
+      return `
+        <tr>
+          <td><span class="dot" style="background:${t.color}"></span>${escapeHtml(t.name)}${r.rawFallback ? `<div class="muted">${i18n.t('cleanup.rawFallback')}</div>` : ''}</td>
+          <td class="num">${r.duplicates}</td>
+          <td class="num">${r.spikes}</td>
+          <td class="num">${r.jitter}</td>
+          <td class="num">${r.elevation}</td>
+          <td class="num">${i18n.formatKm(r.distanceBefore / 1000)} → ${i18n.formatKm(r.distanceAfter / 1000)}</td>
+          <td class="num">${ascent}</td>
+        </tr>`;
+    }).join('');
+    table.innerHTML = `<thead><tr>${head}</tr></thead><tbody>${rows}</tbody>`;
+  }
+
+  // Ham <-> temiz: bütün rotalar yeniden türetilir ve yeniden çizilir (karşılaştırma da yenilenir)
+  function setGpsCleanup(enabled) {
+    if (enabled === gpsCleanupEnabled) return;
+    gpsCleanupEnabled = enabled;
+    trackOrder.forEach(i => {
+      const t = tracksData[i];
+      deriveTrack(t);
+      if (gradeLayers[i]) { map.removeLayer(gradeLayers[i]); gradeLayers[i] = null; }
+      drawTrackOnMap(t, i);
+      drawTrackOnChart(t, i);
+      drawTrackOnSpeedChart(t, i);
+    });
+    refreshTracks();
+  }
+
+  function initCleanupControls() {
+    const box = document.getElementById('gpsCleanup');
+    if (!box) return;
+    box.checked = gpsCleanupEnabled;
+    box.addEventListener('change', () => setGpsCleanup(box.checked));
+  }
 
-    const active = tracksData.filter(Boolean);
-    if (active.length === 2) {
-      try { findAndDrawOverlap(active[0], active[1]); }
-      catch (e) {
-        console.warn('Overlap hesaplanamadı:', e);
+  // --- Overlap settings ---
+  function defaultOverlapSettings() {
+    return {
+      thresholdMeters: OVERLAP_THRESHOLD_METERS,
+      exitMarginMeters: OVERLAP_EXIT_MARGIN_METERS,
+      stepMeters: RESAMPLE_STEP_METERS,
+      minSegmentMeters: MIN_OVERLAP_SEGMENT_METERS
+    };
+  }
+
+  // input id -> ayar adı ve kabul edilen en küçük değer (adım 1 m'nin altına inerse örnek sayısı patlar)
+  const OVERLAP_SETTING_INPUTS = {
+    overlapThreshold: { key: 'thresholdMeters', min: 1 },
+    overlapExitMargin: { key: 'exitMarginMeters', min: 0 },
+    overlapStep: { key: 'stepMeters', min: 1 },
+    overlapMinSegment: { key: 'minSegmentMeters', min: 0 }
+  };
+
+  function initOverlapSettingsControls() {
+    const inputs = Object.keys(OVERLAP_SETTING_INPUTS).map(id => document.getElementById(id));
+    if (inputs.some(input => !input)) return;
+    const defaults = defaultOverlapSettings();
+    let timer = null;
+
+    const onChange = () => {
+      const next = {};
+      inputs.forEach(input => {
+        const { key, min } = OVERLAP_SETTING_INPUTS[input.id];
+        const v = readMeterInput(input);
+        next[key] = input.value !== '' && Number.isFinite(v) && v >= min ? v : defaults[key];
+      });
+      if (Object.keys(next).every(key => next[key] === overlapSettings[key])) return;
+      overlapSettings = next;
+      scheduleSave();
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        checkForOverlap();
+        if (profileReference != null) redrawElevationProfiles();
+        renderClimbs();  // eşleştirme ortak kısım eşiğini kullanır
+      }, OVERLAP_RECOMPUTE_DELAY_MS);
+    };
+    inputs.forEach(input => input.addEventListener('input', onChange));
+
+    document.getElementById('overlapReset')?.addEventListener('click', () => {
+      inputs.forEach(input => showMeterInput(input, defaults[OVERLAP_SETTING_INPUTS[input.id].key]));
+      onChange();
+    });
+  }
+
+  // --- Waypoints ---
+  const escapeHtml = v => String(v == null ? '' : v)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+  function waypointPopup(wp) {
+    const rows = [`<strong>${escapeHtml(wp.name || i18n.t('waypoints.default'))}</strong>`];
+    if (wp.sym) rows.push(`<small>${escapeHtml(wp.sym)}</small>`);
+    if (wp.desc) rows.push(escapeHtml(wp.desc));
+    if (wp.cmt && wp.cmt !== wp.desc) rows.push(escapeHtml(wp.cmt));
+    if (wp.ele != null) rows.push(i18n.t('waypoints.elevation', { v: i18n.formatMeters(wp.ele) }));
+    return rows.join('<br>');
+  }
+
+  function drawWaypoints(trackIndex) {
+    if (waypointLayers[trackIndex]) map.removeLayer(waypointLayers[trackIndex]);
+    waypointLayers[trackIndex] = null;
+    const t = tracksData[trackIndex];
+    if (!t || !t.waypoints || !t.waypoints.length) return;
+
+    const group = L.layerGroup(t.waypoints.map(wp =>
+      L.marker([wp.lat, wp.lng], { title: wp.name || '' }).bindPopup(waypointPopup(wp))
+    ));
+    waypointLayers[trackIndex] = group;
+    if (t.visible && t.showWaypoints) group.addTo(map);
+  }
+
+  // Rotanın bir noktaya radius'tan yakın geçtiği her geçiş için en yakın anın km'si.
+  // Döngü rotalar aynı noktadan birden çok kez geçebilir. Yerel eşdikdörtgen izdüşüm yeterli.
+  function passesNear(track, target, radius) {
+    const kx = 111320 * Math.cos(target.lat * Math.PI / 180);
+    const ky = 110540;
+    const passes = [];
+    for (const seg of track.segments) {
+      let best = null;
+      for (let i = 1; i < seg.length; i++) {
+        const ax = (seg[i - 1].lng - target.lng) * kx, ay = (seg[i - 1].lat - target.lat) * ky;
+        const bx = (seg[i].lng - target.lng) * kx, by = (seg[i].lat - target.lat) * ky;
+        const dx = bx - ax, dy = by - ay;
+        const len2 = dx * dx + dy * dy;
+        const f = len2 > 0 ? Math.min(1, Math.max(0, -(ax * dx + ay * dy) / len2)) : 0;
+        const d = Math.hypot(ax + dx * f, ay + dy * f);
+        if (d <= radius) {
+          const km = (seg[i - 1].dist + (seg[i].dist - seg[i - 1].dist) * f) / 1000;
+          if (!best || d < best.dist) best = { km, dist: d };
+        } else if (best) {
+          passes.push(best);
+          best = null;
+        }
       }
+      if (best) passes.push(best);
     }
+    return passes;
   }
 
-  function findAndDrawOverlap(track1, track2) {
-    // kırılmaları engelle: en az 2 nokta olmalı
-    if (track1.points.length < 2 || track2.points.length < 2) return;
+  function renderWaypointTable() {
+    const section = document.getElementById('waypoint-section');
+    const table = document.getElementById('waypoint-table');
+    if (!section || !table) return;
+
+    const rows = [];
+    const active = visibleIndices();
+    active.forEach(i => tracksData[i].waypoints.forEach(wp => rows.push({ wp, owner: i })));
+    if (!rows.length) { section.style.display = 'none'; table.innerHTML = ''; return; }
 
-    const ls1 = turf.lineString(track1.points.map(p => [p.lng, p.lat]));
-    const ls2 = turf.lineString(track2.points.map(p => [p.lng, p.lat]));
-    const len1 = turf.length(ls1, { units: 'kilometers' });
-    const len2 = turf.length(ls2, { units: 'kilometers' });
+    const head = active.map(i => `<th><span class="dot" style="background:${tracksData[i].color}"></span>${escapeHtml(tracksData[i].name)}</th>`).join('');
+    const body = rows.map(({ wp, owner }, r) => {
+      const cells = active.map(i => {
+        const passes = passesNear(tracksData[i], wp, waypointRadius);
+        return passes.length
+          ? `<td class="num" title="${i18n.t('waypoints.nearest', { v: i18n.formatMeters(Math.min(...passes.map(p => p.dist))) })}">${passes.map(p => i18n.dist(p.km).toFixed(2)).join(', ')} ${i18n.unit('dist')}</td>`
+          : '<td class="none">–</td>';
+      }).join('');
+      return `<tr data-row="${r}"><td><span class="dot" style="background:${tracksData[owner].color}"></span>${escapeHtml(wp.name || i18n.t('waypoints.default'))}</td>${cells}</tr>`;
+    }).join('');
+
+    table.innerHTML = `<thead><tr><th>${i18n.t('waypoints.point')}</th>${head}</tr></thead><tbody>${body}</tbody>`;
+    table.querySelectorAll('tbody tr').forEach(tr => {
+      tr.addEventListener('click', () => {
+        const { wp } = rows[Number(tr.dataset.row)];
+        map.setView([wp.lat, wp.lng], Math.max(map.getZoom(), 15));
+        L.popup().setLatLng([wp.lat, wp.lng]).setContent(waypointPopup(wp)).openOn(map);
+      });
+    });
+    section.style.display = 'block';
+  }
 
-    const shortLine = len1 <= len2 ? ls1 : ls2;
-    const longLine  = len1 <= len2 ? ls2 : ls1;
+  function initWaypointControls() {
+    const input = document.getElementById('waypointRadius');
+    if (!input) return;
+    input.addEventListener('input', () => {
+      const v = readMeterInput(input);
+      waypointRadius = Number.isFinite(v) && v > 0 ? v : DEFAULT_WAYPOINT_RADIUS_METERS;
+      renderWaypointTable();
+      scheduleSave();
+    });
+  }
 
-    const stepKm = RESAMPLE_STEP_METERS / 1000;
-    const shortLenKm = turf.length(shortLine, { units: 'kilometers' });
-    const sampled = [];
-    for (let d = 0; d <= shortLenKm; d += stepKm) {
-      sampled.push(turf.along(shortLine, d, { units: 'kilometers' }).geometry.coordinates);
+  // --- Chart <-> map linking ---
+  // Kümülatif mesafeye (m) karşılık gelen nokta (yükseklik ve zaman ara değerlenir); rota o kadar uzun değilse null
+  function pointAtDistance(points, dist) {
+    const last = points[points.length - 1];
+    if (dist < 0 || dist > last.dist) return null;
+    let lo = 0, hi = points.length - 1;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (points[mid].dist <= dist) lo = mid; else hi = mid;
     }
-    const lastCoord = shortLine.geometry.coordinates[shortLine.geometry.coordinates.length - 1];
-    if (!sampled.length || sampled[sampled.length - 1][0] !== lastCoord[0] || sampled[sampled.length - 1][1] !== lastCoord[1]) {
-      sampled.push(lastCoord);
+    const a = points[lo], b = points[hi];
+    const f = b.dist > a.dist ? (dist - a.dist) / (b.dist - a.dist) : 0;
+    const lerp = key => (a[key] != null && b[key] != null ? a[key] + (b[key] - a[key]) * f : null);
+    return { lat: a.lat + (b.lat - a.lat) * f, lng: a.lng + (b.lng - a.lng) * f, ele: lerp('ele'), time: lerp('time') };
+  }
+
+  // Haritadaki konuma en yakın nokta indeksi (küçük alanda eşdikdörtgen yaklaşım yeterli)
+  function nearestPointIndex(points, latlng) {
+    const kx = Math.cos(latlng.lat * Math.PI / 180);
+    let best = 0, bestD = Infinity;
+    for (let i = 0; i < points.length; i++) {
+      const dx = (points[i].lng - latlng.lng) * kx;
+      const dy = points[i].lat - latlng.lat;
+      const d = dx * dx + dy * dy;
+      if (d < bestD) { bestD = d; best = i; }
     }
+    return best;
+  }
 
-    const enterThresh = OVERLAP_THRESHOLD_METERS;
-    const exitThresh  = OVERLAP_THRESHOLD_METERS + 5;
+  // Noktanın ±GRADE_WINDOW_METERS çevresindeki ortalama eğim (%); yükseklik yoksa null
+  function gradeAt(points, idx) {
+    const d = points[idx].dist;
+    let i0 = idx, i1 = idx;
+    while (i0 > 0 && d - points[i0].dist < GRADE_WINDOW_METERS) i0--;
+    while (i1 < points.length - 1 && points[i1].dist - d < GRADE_WINDOW_METERS) i1++;
+    while (i0 < idx && points[i0].ele == null) i0++;
+    while (i1 > idx && points[i1].ele == null) i1--;
+    const run = points[i1].dist - points[i0].dist;
+    if (!(run > 0) || points[i0].ele == null || points[i1].ele == null) return null;
+    return (points[i1].ele - points[i0].ele) / run * 100;
+  }
 
-    const overlappingSegments = [];
-    let current = [];
-    let inside = false;
+  function setChartCrosshair(crosshair) {
+    chartCrosshair = crosshair;
+    elevationChart.draw();
+    speedChart?.draw();
+  }
 
-    for (const coord of sampled) {
-      const distM = turf.pointToLineDistance(turf.point(coord), longLine, { units: 'meters' });
-      if (!inside) {
-        if (distM <= enterThresh) { inside = true; current.push(coord); }
+  // aligned: km referans rotanın mesafesi; diğer rotalarda o yere izdüşen nokta aranır
+  function showHoverMarkers(km, aligned) {
+    tracksData.forEach((t, i) => {
+      let pos = null;
+      if (t && t.visible) pos = aligned && i !== profileReference ? alignedPointAt(i, km) : pointAtDistance(t.points, km * 1000);
+      if (!pos) {
+        if (hoverMarkers[i]) { map.removeLayer(hoverMarkers[i]); hoverMarkers[i] = null; }
+        return;
+      }
+      if (!hoverMarkers[i]) {
+        hoverMarkers[i] = L.circleMarker([pos.lat, pos.lng], {
+          radius: 6,
+          color: t.color,
+          weight: 3,
+          fillColor: '#fff',
+          fillOpacity: 1,
+          interactive: false,
+          renderer: canvasRenderer
+        }).addTo(map);
       } else {
-        if (distM <= exitThresh) { current.push(coord); }
-        else { if (current.length > 1) overlappingSegments.push(current); current = []; inside = false; }
+        hoverMarkers[i].setLatLng([pos.lat, pos.lng]);
       }
-    }
-    if (current.length > 1) overlappingSegments.push(current);
+    });
+  }
 
-    if (overlappingSegments.length) {
-      const leafletCoords = overlappingSegments.map(seg => seg.map(c => [c[1], c[0]]));
-      overlapLayer = L.polyline(leafletCoords, {
+  function clearHoverMarkers() {
+    hoverMarkers.forEach(m => m && map.removeLayer(m));
+    hoverMarkers = [];
+  }
+
+  function clearChartHover() {
+    if (chartCrosshair && chartCrosshair.pinned) return;
+    clearHoverMarkers();
+    setChartCrosshair(null);
+  }
+
+  // Polyline üzerinde gezinme/tıklama -> o rotanın mesafesinde grafikte çizgi
+  function crosshairFromMap(trackIndex, latlng, pinned) {
+    const t = tracksData[trackIndex];
+    if (!t) return;
+    const idx = nearestPointIndex(t.points, latlng);
+    const p = t.points[idx];
+    const parts = [i18n.formatKm(p.dist / 1000)];
+    if (p.ele != null) parts.push(i18n.formatMeters(p.ele));
+    if (p.grade != null) parts.push(i18n.t('format.percent', { v: p.grade.toFixed(1) }));
+
+    clearHoverMarkers();
+    setChartCrosshair({ km: p.dist / 1000, refKm: referenceKm(trackIndex, p), color: t.color, label: `${t.name}: ${parts.join(' · ')}`, pinned });
+  }
+
+  function bindTrackHover(polyline, trackIndex) {
+    polyline.on('mousemove', e => {
+      if (chartCrosshair && chartCrosshair.pinned) return;
+      crosshairFromMap(trackIndex, e.latlng, false);
+    });
+    polyline.on('mouseout', () => {
+      if (chartCrosshair && !chartCrosshair.pinned) setChartCrosshair(null);
+    });
+    polyline.on('click', e => {
+      L.DomEvent.stopPropagation(e);
+      crosshairFromMap(trackIndex, e.latlng, true);
+    });
+  }
+
+  // --- Replay ---
+  function resetReplay() {
+    replay.markers.forEach(m => map.removeLayer(m));
+    replay.markers = [];
+    replay.tracks = visibleIndices()
+      .filter(index => tracksData[index].timeStats)
+      .map(index => ({ index, timed: tracksData[index].points.filter(p => p.time != null) }));
+
+    const section = document.getElementById('replay-section');
+    if (!replay.tracks.length) {
+      pauseReplay();
+      if (section) section.style.display = 'none';
+      return;
+    }
+    if (section) section.style.display = 'block';
+
+    // absolute: ortak saat ekseni | start: her kayıt kendi başlangıcından (hayalet yarış)
+    if (replay.align === 'absolute') {
+      const starts = replay.tracks.map(r => r.timed[0].time);
+      const ends = replay.tracks.map(r => r.timed[r.timed.length - 1].time);
+      replay.origin = Math.min(...starts);
+      replay.duration = Math.max(...ends) - replay.origin;
+    } else {
+      replay.origin = 0;
+      replay.duration = Math.max(...replay.tracks.map(r => r.timed[r.timed.length - 1].time - r.timed[0].time));
+    }
+    replay.t = Math.min(replay.t, replay.duration);
+
+    replay.markers = replay.tracks.map(r => L.circleMarker([r.timed[0].lat, r.timed[0].lng], {
+      radius: 7,
+      color: '#fff',
+      weight: 2,
+      fillColor: tracksData[r.index].color,
+      fillOpacity: 1,
+      renderer: canvasRenderer
+    }).bindTooltip(escapeHtml(tracksData[r.index].name)).addTo(map));
+
+    const slider = document.getElementById('replaySlider');
+    if (slider) slider.max = String(Math.ceil(replay.duration / 1000));
+    updateReplay();
+  }
+
+  // Kaydın kendi saatinde verilen ana karşılık gelen konum (lineer interpolasyon)
+  function positionAt(timed, time) {
+    if (time <= timed[0].time) return { ...timed[0], started: time === timed[0].time, finished: false };
+    const last = timed[timed.length - 1];
+    if (time >= last.time) return { ...last, started: true, finished: true };
+
+    let lo = 0, hi = timed.length - 1;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (timed[mid].time <= time) lo = mid; else hi = mid;
+    }
+    const a = timed[lo], b = timed[hi];
+    // parçalar arası kopuklukta düz çizgi boyunca kaydırma: son bilinen konumda bekle
+    if (a.seg !== b.seg) return { ...a, time, started: true, finished: false };
+    const f = (time - a.time) / (b.time - a.time);
+    return {
+      time,
+      lat: a.lat + (b.lat - a.lat) * f,
+      lng: a.lng + (b.lng - a.lng) * f,
+      dist: a.dist + (b.dist - a.dist) * f,
+      started: true,
+      finished: false
+    };
+  }
+
+  // Kaydın verilen mesafeye ilk ulaştığı an (ms, kendi saatinde)
+  function timeAtDistance(timed, dist) {
+    let lo = 0, hi = timed.length - 1;
+    if (dist <= timed[0].dist) return timed[0].time;
+    if (dist >= timed[hi].dist) return timed[hi].time;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (timed[mid].dist < dist) lo = mid; else hi = mid;
+    }
+    const a = timed[lo], b = timed[hi];
+    const f = b.dist > a.dist ? (dist - a.dist) / (b.dist - a.dist) : 0;
+    return a.time + (b.time - a.time) * f;
+  }
+
+  function updateReplay() {
+    const states = replay.tracks.map((r, k) => {
+      const ownTime = replay.align === 'absolute' ? replay.origin + replay.t : r.timed[0].time + replay.t;
+      const pos = positionAt(r.timed, ownTime);
+      replay.markers[k]?.setLatLng([pos.lat, pos.lng]);
+      return { r, pos, ownTime };
+    });
+
+    const slider = document.getElementById('replaySlider');
+    if (slider) slider.value = String(Math.round(replay.t / 1000));
+    const clock = document.getElementById('replayClock');
+    if (clock) {
+      clock.textContent = replay.align === 'absolute'
+        ? new Date(replay.origin + replay.t).toLocaleTimeString(i18n.locale())
+        : formatDuration(replay.t / 1000);
+    }
+    renderReplayReadout(states);
+  }
+
+  // Lider: kendi rotasında en çok yol alan. Geridekiler için metre farkı ve
+  // liderin aynı mesafeden kaç saniye önce geçtiği gösterilir (aynı parkur varsayımı)
+  function renderReplayReadout(states) {
+    const ul = document.getElementById('replay-readout');
+    if (!ul) return;
+    const sorted = states.slice().sort((a, b) => b.pos.dist - a.pos.dist);
+    const leader = sorted[0];
+
+    ul.innerHTML = sorted.map((st, rank) => {
+      const t = tracksData[st.r.index];
+      let gap;
+      if (rank === 0) gap = i18n.t('replay.leader');
+      else {
+        const meters = leader.pos.dist - st.pos.dist;
+        const secs = (Math.min(leader.ownTime, leader.r.timed[leader.r.timed.length - 1].time) - timeAtDistance(leader.r.timed, st.pos.dist)) / 1000;
+        gap = `-${i18n.formatMeters(meters)} · -${formatDuration(Math.max(0, secs))}`;
+      }
+      const state = !st.pos.started ? i18n.t('replay.notStarted') : st.pos.finished ? i18n.t('replay.finished') : '';
+      return `<li><span class="dot" style="background:${t.color}"></span>${escapeHtml(t.name)}${state}
+                <span class="gap">${i18n.formatKm(st.pos.dist / 1000)} · ${gap}</span></li>`;
+    }).join('');
+  }
+
+  function replayFrame(now) {
+    if (!replay.playing) return;
+    const dt = now - replay.lastFrame;
+    replay.lastFrame = now;
+    replay.t = Math.min(replay.duration, replay.t + dt * replay.speed);
+    updateReplay();
+    if (replay.t >= replay.duration) { pauseReplay(); return; }
+    replay.rafId = requestAnimationFrame(replayFrame);
+  }
+
+  function playReplay() {
+    if (!replay.tracks.length) return;
+    if (replay.t >= replay.duration) replay.t = 0;
+    replay.playing = true;
+    replay.lastFrame = performance.now();
+    replay.rafId = requestAnimationFrame(replayFrame);
+    const btn = document.getElementById('replayPlay');
+    if (btn) btn.textContent = '❚❚';
+  }
+
+  function pauseReplay() {
+    replay.playing = false;
+    if (replay.rafId) cancelAnimationFrame(replay.rafId);
+    replay.rafId = null;
+    const btn = document.getElementById('replayPlay');
+    if (btn) btn.textContent = '▶';
+  }
+
+  function initReplayControls() {
+    const btn = document.getElementById('replayPlay');
+    const slider = document.getElementById('replaySlider');
+    const alignSel = document.getElementById('replayAlign');
+    const speedSel = document.getElementById('replaySpeed');
+    if (!btn || !slider) return;
+
+    btn.addEventListener('click', () => (replay.playing ? pauseReplay() : playReplay()));
+    slider.addEventListener('input', () => {
+      replay.t = Number(slider.value) * 1000;
+      updateReplay();
+    });
+    alignSel?.addEventListener('change', () => {
+      replay.align = alignSel.value === 'start' ? 'start' : 'absolute';
+      replay.t = 0;
+      resetReplay();
+    });
+    speedSel?.addEventListener('change', () => { replay.speed = Number(speedSel.value) || 1; });
+  }
+
+  // --- Profile alignment ---
+  // Hizalı modda yükseklik profilleri referans rotanın mesafe ekseninde çizilir: her nokta referansa
+  // izdüşürülür, referanstan uzak (ortak olmayan) kısımlar boşluk kalır. Ortak kısma giriş/çıkış
+  // karşılaştırmadaki gibi eşik + histerezisle belirlenir; böylece aynı tırmanışlar üst üste gelir.
+  // Rotanın referansa izdüşen noktaları, sırasıyla: [{km, point} | null]; null = kopukluk
+  function alignToReference(trackData) {
+    const line = trackLine(profileReference);
+    const enter = overlapSettings.thresholdMeters;
+    const exit = enter + overlapSettings.exitMarginMeters;
+    const samples = [];
+    let prev = null;   // son izdüşen nokta; ortak kısımda değilken null
+    trackData.points.forEach(p => {
+      const proj = overlapEngine.projectOnLine(line, [p.lng, p.lat], prev ? exit : enter);
+      // farklı <trkseg> ya da referansta kendi ilerlemesinden fazla sıçrama (referansın başka bir geçişi) da kopukluktur
+      const continues = proj && prev && p.seg === prev.point.seg
+        && Math.abs(proj.km - prev.km) <= (p.dist - prev.point.dist + 2 * exit) / 1000;
+      if (prev && !continues) samples.push(null);
+      prev = proj ? { km: proj.km, point: p } : null;
+      if (prev) samples.push(prev);
+    });
+    return samples;
+  }
+
+  // chartData biçiminde ({x: km, y: ele, g}), referans ekseninde; boşluklar y: null
+  function alignedChartData(trackIndex) {
+    const data = [];
+    let lastKm = null;
+    profileAlignment[trackIndex].forEach(s => {
+      if (!s) {
+        if (lastKm != null) data.push({ x: lastKm, y: null });
+        lastKm = null;
+      } else if (Number.isFinite(s.point.ele)) {
+        data.push({ x: s.km, y: s.point.ele, g: s.point.grade });
+        lastKm = s.km;
+      }
+    });
+    return data;
+  }
+
+  // Referans km'sine izdüşen en yakın nokta; rota oradan geçmiyorsa null
+  function alignedPointAt(trackIndex, km) {
+    const samples = profileAlignment[trackIndex];
+    if (!samples) return null;
+    let best = null, bestD = Infinity;
+    samples.forEach(s => {
+      const d = s ? Math.abs(s.km - km) : Infinity;
+      if (d < bestD) { bestD = d; best = s; }
+    });
+    return best && bestD * 1000 <= overlapSettings.stepMeters * 2 ? best.point : null;
+  }
+
+  // Rotanın noktasının hizalı profildeki yeri (km); hizalama yoksa ya da nokta referanstan uzaksa null
+  function referenceKm(trackIndex, p) {
+    if (profileReference == null) return null;
+    if (trackIndex === profileReference) return p.dist / 1000;
+    const proj = overlapEngine.projectOnLine(trackLine(profileReference), [p.lng, p.lat],
+      overlapSettings.thresholdMeters + overlapSettings.exitMarginMeters);
+    return proj ? proj.km : null;
+  }
+
+  function redrawElevationProfiles() {
+    updateChartAxes();
+    trackOrder.forEach(i => drawTrackOnChart(tracksData[i], i));
+    if (chartCrosshair) setChartCrosshair(null);
+    clearHoverMarkers();
+  }
+
+  function setProfileReference(index) {
+    profileReference = index != null && tracksData[index] ? index : null;
+    profileAlignment = [];
+    const select = document.getElementById('profileAlign');
+    if (select) select.value = profileReference == null ? '' : String(profileReference);
+    redrawElevationProfiles();
+    if (overlapResults) displayOverlapStats();  // benzerlik sıralaması referansa göre
+    scheduleSave();
+  }
+
+  // Seçenekler: kendi mesafesi + her rota (kenar çubuğu sırasıyla); tek rotada gizli
+  function renderProfileAlignOptions() {
+    const select = document.getElementById('profileAlign');
+    if (!select) return;
+    select.style.display = trackOrder.length > 1 ? '' : 'none';
+    select.innerHTML = `<option value="">${i18n.t('elevation.alignOwn')}</option>` + trackOrder.map(i =>
+      `<option value="${i}">${escapeHtml(i18n.t('elevation.alignTo', { name: tracksData[i].name }))}</option>`).join('');
+    select.value = profileReference == null ? '' : String(profileReference);
+  }
+
+  function initProfileAlignControls() {
+    const select = document.getElementById('profileAlign');
+    if (!select) return;
+    select.addEventListener('change', () => setProfileReference(select.value === '' ? null : Number(select.value)));
+  }
+
+  // --- Map level of detail ---
+  // Büyük rotalar haritada yakınlaştırma düzeyine göre Douglas–Peucker ile sadeleştirilmiş çizilir; tolerans
+  // LOD_TOLERANCE_PX'in o düzeydeki metre karşılığıdır ve her düzeyin sonucu rotada saklanır.
+  // İstatistikler, karşılaştırma ve harita/grafik gezinmesi tam veriyi kullanır.
+  function lodSegments(t, zoom) {
+    if (t.points.length < LOD_MIN_POINTS) return t.segments;
+    const z = Math.round(zoom);
+    if (!t.lod[z]) {
+      const metersPerPx = 40075016.686 * Math.cos(t.points[0].lat * Math.PI / 180) / Math.pow(2, z + 8);
+      t.lod[z] = t.segments.map(seg => simplifyPoints(seg, metersPerPx * LOD_TOLERANCE_PX, false));
+    }
+    return t.lod[z];
+  }
+
+  const segmentLatLngs = segs => segs.map(seg => seg.map(p => [p.lat, p.lng]));
+
+  function applyMapLod() {
+    const zoom = Math.round(map.getZoom());
+    let rebuilt = false;
+    tracksData.forEach((t, i) => {
+      if (!t || t.points.length < LOD_MIN_POINTS || t.lodZoom === zoom) return;
+      t.lodZoom = zoom;
+      mapLayers[i]?.setLatLngs(segmentLatLngs(lodSegments(t, zoom)));
+      if (gradeLayers[i]) { map.removeLayer(gradeLayers[i]); gradeLayers[i] = null; rebuilt = true; }
+    });
+    if (!rebuilt) return;
+    syncMapLayers();  // eğim grupları yeni düzeyle yeniden kurulur
+    overlapLayer?.bringToFront();
+  }
+
+  // --- Drawing ---
+  function drawTrackOnMap(trackData, trackIndex) {
+    if (!trackData || !Array.isArray(trackData.points) || trackData.points.length < 2) return;
+
+    if (mapLayers[trackIndex]) map.removeLayer(mapLayers[trackIndex]);
+
+    trackData.lodZoom = Math.round(map.getZoom());
+    const polyline = L.polyline(segmentLatLngs(lodSegments(trackData, trackData.lodZoom)), {
+      color: trackData.color,
+      weight: 4,
+      opacity: 0.9,
+      lineCap: 'round',
+      lineJoin: 'round',
+      smoothFactor: 1.0,
+      renderer: canvasRenderer
+    });
+    if (trackData.visible) polyline.addTo(map);
+    polyline.bindTooltip(escapeHtml(trackData.name), { sticky: true });
+    bindTrackHover(polyline, trackIndex);
+
+    mapLayers[trackIndex] = polyline;
+  }
+
+  function fitMapToTracks(indices) {
+    const layers = indices.map(i => mapLayers[i]).filter(Boolean);
+    if (!layers.length) return;
+    try {
+      const bounds = layers.reduce((b, layer) => b.extend(layer.getBounds()), L.latLngBounds(layers[0].getBounds()));
+      map.fitBounds(bounds.pad(0.1));
+    } catch (_) {
+      // bazı edge-case'lerde fitBounds hata verebilir; görmezden gel
+    }
+  }
+
+  // Grafik veri setleri kenar çubuğu sırasında, yalnız görünür rotalar
+  function syncChartDatasets() {
+    const order = visibleIndices();
+    elevationChart.data.datasets = order.map(i => chartDatasets[i]).filter(Boolean);
+    elevationChart.update();
+    if (speedChart) {
+      speedChart.data.datasets = order.map(i => speedDatasets[i]).filter(Boolean);
+      speedChart.update();
+    }
+  }
+
+  function drawTrackOnChart(trackData, trackIndex) {
+    const aligned = trackData && profileReference != null && trackIndex !== profileReference;
+    if (aligned) profileAlignment[trackIndex] = alignToReference(trackData);
+    const chartData = aligned ? alignedChartData(trackIndex) : trackData && trackData.chartData;
+    // Ele hiç yoksa grafiğe dataset koymayalım (Chart.js NaN sorunlarını önler)
+    if (!Array.isArray(chartData) || !chartData.some(d => d.y != null)) {
+      chartDatasets[trackIndex] = null;
+      syncChartDatasets();
+      return;
+    }
+    const ds = {
+      label: `${trackData.name} (${i18n.formatKm(trackData.totalDistance)})`,
+      data: downsampleSeries(chartData, CHART_MAX_POINTS).map(d => ({ x: i18n.dist(d.x), y: d.y == null ? null : i18n.meters(d.y), g: d.g })),
+      borderColor: trackData.color,
+      backgroundColor: trackData.color + '33',
+      borderWidth: 2,
+      fill: colorMode === 'grade' ? 'start' : false,
+      segment: colorMode === 'grade' ? { backgroundColor: gradeSegmentFill } : undefined,
+      spanGaps: false,                   // null = <trkseg> sınırı: boşluk olarak kalsın
+      pointRadius: 0
+    };
+    chartDatasets[trackIndex] = ds;
+    syncChartDatasets();
+  }
+
+  // Görünürlük ve sıraya göre harita katmanlarını ekle/kaldır; listede üstteki rota en üstte çizilir
+  function syncMapLayers() {
+    tracksData.forEach((t, i) => {
+      if (!t) return;
+      const layer = trackLayer(i);
+      const other = layer === mapLayers[i] ? gradeLayers[i] : mapLayers[i];
+      if (other && map.hasLayer(other)) map.removeLayer(other);
+      if (layer) {
+        if (t.visible && !map.hasLayer(layer)) layer.addTo(map);
+        if (!t.visible && map.hasLayer(layer)) map.removeLayer(layer);
+      }
+      const wpts = waypointLayers[i];
+      if (wpts) {
+        const show = t.visible && t.showWaypoints;
+        if (show && !map.hasLayer(wpts)) wpts.addTo(map);
+        if (!show && map.hasLayer(wpts)) map.removeLayer(wpts);
+      }
+    });
+    visibleIndices().slice().reverse().forEach(i => trackLayer(i)?.bringToFront());
+    applyTrackOffsets();
+  }
+
+  // Yan yana modunda her rota sırasına göre ortalanmış bir piksel kaydırması alır;
+  // böylece aynı yoldan geçen rotaların hepsi görünür ve tıklanabilir kalır
+  function applyTrackOffsets() {
+    const active = visibleIndices().map(trackLayer).filter(Boolean);
+    active.forEach((layer, rank) => {
+      const offset = displayMode === 'offset' ? (rank - (active.length - 1) / 2) * TRACK_OFFSET_PX : 0;
+      // eğim modunda rota bir çizgi grubu: kaydırma her parçaya uygulanır
+      (layer instanceof L.FeatureGroup ? layer.getLayers() : [layer]).forEach(line => {
+        if (line.options.offset !== offset) line.setOffset(offset);
+      });
+    });
+  }
+
+  function setDisplayMode(mode) {
+    displayMode = mode === 'offset' ? 'offset' : 'overlap';
+    applyTrackOffsets();
+    drawOverlapSelection();
+    scheduleSave();
+  }
+
+  // --- Track list ---
+  function renderTrackList() {
+    const head = document.getElementById('trackListHead');
+    const count = document.getElementById('trackCount');
+    const shown = visibleIndices().length;
+    if (head) head.style.display = trackOrder.length ? 'flex' : 'none';
+    const share = document.getElementById('share-section');
+    const shareResult = document.getElementById('shareResult');
+    if (share) share.style.display = trackOrder.length ? 'block' : 'none';
+    if (shareResult) shareResult.style.display = 'none';  // eski bağlantı artık bu durumu göstermez
+    renderProfileAlignOptions();
+    if (count) count.textContent = i18n.t('tracks.count', { n: trackOrder.length }) + (shown < trackOrder.length ? i18n.t('tracks.visibleCount', { n: shown }) : '');
+
+    const solo = shown === 1 && trackOrder.length > 1 ? visibleIndices()[0] : null;
+    trackListEl.innerHTML = trackOrder.map((i, pos) => {
+      const t = tracksData[i];
+      const wpts = t.waypoints.length
+        ? `<label class="wpt-toggle" title="${i18n.t('tracks.waypointsTitle')}"><input type="checkbox" data-act="waypoints" ${t.showWaypoints ? 'checked' : ''} />${i18n.t('tracks.waypointCount', { n: t.waypoints.length })}</label>`
+        : '';
+      return `
+        <li class="track-row${t.visible ? '' : ' hidden-track'}" data-index="${i}">
+          <input type="checkbox" data-act="visible" title="${i18n.t('tracks.toggle')}" ${t.visible ? 'checked' : ''} />
+          <span class="dot" style="background:${t.color}"></span>
+          <span class="track-name" title="${escapeHtml(t.name)} — ${escapeHtml(t.fileName || '')}">${escapeHtml(t.name)}</span>
+          <span class="track-km">${i18n.formatKm(t.totalDistance, 1)}</span>
+          ${wpts}
+          <button type="button" data-act="solo" title="${i18n.t('tracks.solo')}" class="${solo === i ? 'active' : ''}">◎</button>
+          <button type="button" data-act="up" title="${i18n.t('tracks.up')}" ${pos === 0 ? 'disabled' : ''}>▲</button>
+          <button type="button" data-act="down" title="${i18n.t('tracks.down')}" ${pos === trackOrder.length - 1 ? 'disabled' : ''}>▼</button>
+          <button type="button" data-act="remove" class="remove" title="${i18n.t('tracks.remove')}">×</button>
+        </li>`;
+    }).join('');
+  }
+
+  function onTrackListAction(e) {
+    const act = e.target.dataset && e.target.dataset.act;
+    const row = e.target.closest('.track-row');
+    if (!act || !row) return;
+    // checkbox'lar 'change', butonlar 'click' ile gelir
+    if ((e.type === 'change') !== (e.target.type === 'checkbox')) return;
+    const index = Number(row.dataset.index);
+    const t = tracksData[index];
+    if (!t) return;
+
+    if (act === 'visible') { t.visible = e.target.checked; refreshTracks(); }
+    else if (act === 'waypoints') { t.showWaypoints = e.target.checked; syncMapLayers(); scheduleSave(); }
+    else if (act === 'solo') toggleSolo(index);
+    else if (act === 'up') moveTrack(index, -1);
+    else if (act === 'down') moveTrack(index, 1);
+    else if (act === 'remove') removeTrack(index);
+  }
+
+  // Yalnız bu rota görünür; zaten öyleyse hepsi yeniden görünür olur
+  function toggleSolo(index) {
+    const shown = visibleIndices();
+    const isSolo = shown.length === 1 && shown[0] === index;
+    trackOrder.forEach(i => { tracksData[i].visible = isSolo || i === index; });
+    refreshTracks();
+  }
+
+  function moveTrack(index, delta) {
+    const pos = trackOrder.indexOf(index);
+    const to = pos + delta;
+    if (pos < 0 || to < 0 || to >= trackOrder.length) return;
+    trackOrder.splice(pos, 1);
+    trackOrder.splice(to, 0, index);
+    refreshTracks();
+  }
+
+  // Rota eklendi/kaldırıldı/gizlendi/sıralandı: bütün görünümleri yeniden kur
+  function refreshTracks() {
+    renderTrackList();
+    syncMapLayers();
+    syncChartDatasets();
+    if (chartCrosshair) setChartCrosshair(null);
+    clearHoverMarkers();
+    renderTimeStats();
+    renderElevationStats();
+    renderWaypointTable();
+    renderCleanupReport();
+    renderClimbs();
+    resetReplay();
+    checkForOverlap();
+    scheduleSave();
+  }
+
+  function removeTrack(trackIndex) {
+    [mapLayers, gradeLayers, waypointLayers, hoverMarkers].forEach(layers => {
+      if (layers[trackIndex]) {
+        map.removeLayer(layers[trackIndex]);
+        layers[trackIndex] = null;
+      }
+    });
+    chartDatasets[trackIndex] = null;
+    speedDatasets[trackIndex] = null;
+    tracksData[trackIndex] = null;
+    trackOrder = trackOrder.filter(i => i !== trackIndex);
+    // eski karşılaştırma silinen rotayı içerir; refreshTracks yeniden hesaplar
+    cancelOverlapJob();
+    overlapResults = null;
+    if (trackIndex === profileReference) setProfileReference(null);
+    refreshTracks();
+  }
+
+  // --- Overlap & stats ---
+  function clearOverlapStats() {
+    const statsSection = document.getElementById('stats-section');
+    if (!statsSection) return;
+    statsSection.style.display = 'none';
+    const ul = statsSection.querySelector('#stats-content ul');
+    if (ul) ul.innerHTML = '';
+    const matrix = statsSection.querySelector('#stats-matrix');
+    if (matrix) matrix.innerHTML = '';
+    const divergences = statsSection.querySelector('#divergence-list');
+    if (divergences) divergences.innerHTML = '';
+    const similarity = statsSection.querySelector('#similarity-list');
+    if (similarity) similarity.innerHTML = '';
+    const progress = statsSection.querySelector('#overlap-progress');
+    if (progress) progress.style.display = 'none';
+  }
+
+  function selectionKey(indices) {
+    return indices.length > 2 ? 'all' : indices.join('-');
+  }
+
+  function findOverlapResult(key) {
+    if (!overlapResults) return null;
+    if (key === 'all') return overlapResults.all;
+    return overlapResults.pairs.find(r => selectionKey(r.indices) === key) || null;
+  }
+
+  function displayOverlapStats() {
+    const statsSection = document.getElementById('stats-section');
+    const contentUl = statsSection?.querySelector('#stats-content ul');
+    const matrixDiv = statsSection?.querySelector('#stats-matrix');
+    if (!statsSection || !contentUl || !matrixDiv || !overlapResults) return;
+    // silinmiş rotayı içeren sonuç eskidir: yenisi gelene kadar çizilmez
+    if (overlapResults.indices.some(i => !tracksData[i])) return;
+
+    const result = findOverlapResult(overlapSelection);
+    const multi = overlapResults.pairs.length > 1;
+
+    matrixDiv.innerHTML = multi ? renderOverlapMatrix() : '';
+    matrixDiv.querySelectorAll('[data-key]').forEach(el => {
+      el.addEventListener('click', () => selectOverlap(el.dataset.key));
+    });
+
+    const divergenceDiv = statsSection.querySelector('#divergence-list');
+    if (!result) {
+      contentUl.innerHTML = '';
+      if (divergenceDiv) divergenceDiv.innerHTML = '';
+    } else {
+      // "Farkı": rotanın diğer(ler)inden gerçekten ayrıldığı kısımların toplamı
+      const uniqueRows = selectionUniqueRuns(result).map(u => `
+        <li><strong>${i18n.t('overlap.unique', { name: escapeHtml(tracksData[u.index].name) })}:</strong> <span>${i18n.formatKm(sumRunKm(u.runs))}</span></li>`).join('');
+      const sharedLabel = i18n.t(result.indices.length === 2 ? 'overlap.shared' : 'overlap.sharedAll');
+      const kindRows = result.km > 0 ? Object.keys(OVERLAP_KINDS).map(kind => `
+        <li class="overlap-kind"><strong>${overlapSwatch(kind)}${kindLabel(kind)}:</strong> <span>${i18n.formatKm(result.kmByKind[kind])}</span></li>`).join('') : '';
+      // 2 rota ortak kısımsızsa ortak km satırları gizlenir; farklar ve benzerlik yine gösterilir
+      const sharedRows = multi || result.segments.length
+        ? `<li><strong>${sharedLabel}:</strong> <span>${i18n.formatKm(result.km)}</span></li>${kindRows}` : '';
+      contentUl.innerHTML = `
+        ${sharedRows}${uniqueRows}
+      `;
+      if (divergenceDiv) renderDivergenceList(divergenceDiv, result);
+    }
+    const similarityDiv = statsSection.querySelector('#similarity-list');
+    if (similarityDiv) renderSimilarityRanking(similarityDiv);
+    statsSection.style.display = 'block';
+  }
+
+  // Benzerlik sıralaması hizalama referansına göre; referans yoksa listedeki ilk rota
+  function similarityReference() {
+    const indices = overlapResults.indices;
+    return indices.includes(profileReference) ? profileReference : indices[0];
+  }
+
+  // Kısa sapmalar metre, uzunlar km olarak
+  const formatDeviation = m => (m >= 1000 ? i18n.formatKm(m / 1000) : i18n.formatMeters(m));
+
+  // Referansa en benzer rotalar: Fréchet mesafesine göre (sırayı ve yönü de hesaba katar), eşitlikte Hausdorff.
+  // Yanal sapma, rotanın referanstan uzaklığıdır. Satıra tıklamak o çifti seçer.
+  // Hesap yalnızca hesap anındaki referansın çiftlerini getirir; referans değişince eksikler burada hesaplanıp saklanır
+  function renderSimilarityRanking(container) {
+    const ref = similarityReference();
+    const pairs = overlapResults.pairs.filter(r => r.indices.includes(ref));
+    pairs.forEach(r => {
+      if (!r.similarity) r.similarity = overlapEngine.similarity(r.indices, overlapResults.lines, overlapResults.options);
+    });
+    const rows = pairs.map(r => {
+      const index = r.indices.find(i => i !== ref);
+      return { index, key: selectionKey(r.indices), km: r.km, sim: r.similarity, dev: r.similarity.deviation.find(d => d.index === index) };
+    }).sort((a, b) => a.sim.frechet - b.sim.frechet || a.sim.hausdorff - b.sim.hausdorff);
+    if (!rows.length) { container.innerHTML = ''; return; }
+
+    const dot = i => `<span class="dot" style="background:${tracksData[i].color}"></span>`;
+    const head = ['similarity.rank', 'similarity.track', 'similarity.frechet', 'similarity.hausdorff', 'similarity.meanDeviation', 'similarity.maxDeviation', 'similarity.shared']
+      .map(key => `<th>${i18n.t(key)}</th>`).join('');
+    const body = rows.map((r, n) => `
+      <tr data-key="${r.key}" class="${r.key === overlapSelection ? 'selected' : ''}">
+        <td class="num">${n + 1}</td>
+        <td>${dot(r.index)}${escapeHtml(tracksData[r.index].name)}</td>
+        <td class="num">${formatDeviation(r.sim.frechet)}</td>
+        <td class="num">${formatDeviation(r.sim.hausdorff)}</td>
+        <td class="num">${formatDeviation(r.dev.mean)}</td>
+        <td class="num">${formatDeviation(r.dev.max)}</td>
+        <td class="num">${i18n.formatKm(r.km)}</td>
+      </tr>`).join('');
+    container.innerHTML = `
+      <h3>${i18n.t('similarity.heading', { name: escapeHtml(tracksData[ref].name) })}</h3>
+      <p class="muted">${i18n.t('similarity.hint')}</p>
+      <table class="data-table">
+        <thead><tr>${head}</tr></thead>
+        <tbody>${body}</tbody>
+      </table>`;
+    container.querySelectorAll('tbody tr').forEach(tr => {
+      tr.addEventListener('click', () => selectOverlap(tr.dataset.key));
+    });
+  }
+
+  const kindLabel = kind => i18n.t(`kind.${kind}`);
+
+  function overlapSwatch(kind) {
+    const { color, dashArray } = OVERLAP_KINDS[kind].style;
+    return `<span class="overlap-swatch" style="border-top-color:${color}; border-top-style:${dashArray ? 'dashed' : 'solid'}"></span>`;
+  }
+
+  // Ayrışma tablosu: her satır bir sapma; sütunlarda seçimdeki her rotada başlangıç–bitiş km'si
+  function renderDivergenceList(container, result) {
+    const items = divergenceSegments(result);
+    if (!items.length) {
+      container.innerHTML = `<h3>${i18n.t('divergence.heading')}</h3><p class="muted">${i18n.t('divergence.none')}</p>`;
+      return;
+    }
+    const dot = i => `<span class="dot" style="background:${tracksData[i].color}"></span>`;
+    const range = (a, b) => `${i18n.dist(a).toFixed(2)}–${i18n.dist(b).toFixed(2)}`;
+    const head = result.indices.map(i => `<th>${dot(i)}${escapeHtml(tracksData[i].name)} (${i18n.unit('dist')})</th>`).join('');
+    const body = items.map((d, r) => {
+      const cells = result.indices.map(i => {
+        if (i === d.index) return `<td class="num own">${range(d.startKm, d.endKm)}</td>`;
+        const o = d.others.find(x => x.index === i);
+        return `<td class="num">${range(o.startKm, o.endKm)}</td>`;
+      }).join('');
+      return `<tr data-row="${r}"><td>${dot(d.index)}${escapeHtml(tracksData[d.index].name)}</td>${cells}<td class="num">${i18n.formatKm(d.km)}</td></tr>`;
+    }).join('');
+
+    container.innerHTML = `
+      <h3>${i18n.t('divergence.heading')} (${items.length})</h3>
+      <table class="data-table">
+        <thead><tr><th>${i18n.t('divergence.track')}</th>${head}<th>${i18n.t('divergence.length')}</th></tr></thead>
+        <tbody>${body}</tbody>
+      </table>`;
+    container.querySelectorAll('tbody tr').forEach(tr => {
+      tr.addEventListener('click', () => {
+        const { coords } = items[Number(tr.dataset.row)];
+        map.fitBounds(L.latLngBounds(coords.map(c => [c[1], c[0]])).pad(0.3));
+      });
+    });
+  }
+
+  // Her çift için ortak km matrisi; hücreye tıklayınca o çift haritada vurgulanır
+  function renderOverlapMatrix() {
+    const indices = overlapResults.indices;
+    const dot = i => `<span class="stats-dot" style="background:${tracksData[i].color}"></span>`;
+    const shortName = i => {
+      const n = tracksData[i].name;
+      return escapeHtml(n.length > 14 ? n.substring(0, 12) + '…' : n);
+    };
+
+    const head = indices.map(i => `<th title="${escapeHtml(tracksData[i].name)}">${dot(i)}${shortName(i)}</th>`).join('');
+    const rows = indices.map(a => {
+      const cells = indices.map(b => {
+        if (a === b) return '<td class="stats-diag">—</td>';
+        const key = selectionKey(a < b ? [a, b] : [b, a]);
+        const r = findOverlapResult(key);
+        const cls = key === overlapSelection ? ' class="selected"' : '';
+        const title = r ? ` title="${Object.keys(OVERLAP_KINDS).map(kind => `${kindLabel(kind)}: ${i18n.formatKm(r.kmByKind[kind])}`).join(' · ')}"` : '';
+        return `<td data-key="${key}"${cls}${title}>${r ? i18n.dist(r.km).toFixed(2) : '–'}</td>`;
+      }).join('');
+      return `<tr><th title="${escapeHtml(tracksData[a].name)}">${dot(a)}${shortName(a)}</th>${cells}</tr>`;
+    }).join('');
+
+    const all = overlapResults.all;
+    const allCls = overlapSelection === 'all' ? ' selected' : '';
+    return `
+      <table class="stats-matrix">
+        <thead><tr><th>${i18n.unit('dist')}</th>${head}</tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <div class="stats-all${allCls}" data-key="all">
+        <strong>${i18n.t('overlap.allShared')}:</strong> <span>${i18n.formatKm(all ? all.km : 0)}</span>
+      </div>
+    `;
+  }
+
+  function selectOverlap(key) {
+    if (!findOverlapResult(key)) return;
+    overlapSelection = key;
+    drawOverlapSelection();
+    displayOverlapStats();
+  }
+
+  function drawOverlapSelection() {
+    if (overlapLayer) { map.removeLayer(overlapLayer); overlapLayer = null; }
+
+    // yan yana modunda ortak kısım zaten rotaların kendisiyle görünüyor
+    if (displayMode === 'offset') return;
+
+    const result = findOverlapResult(overlapSelection);
+    if (!result) return;
+
+    overlapLayer = L.featureGroup().addTo(map);
+    // ayrışan kısımlar: sapan rotanın renginde geniş yarı saydam vurgu
+    divergenceSegments(result).forEach(d => {
+      L.polyline(d.coords.map(c => [c[1], c[0]]), {
+        color: tracksData[d.index].color,
+        weight: 10,
+        opacity: 0.45,
+        lineCap: 'round',
+        lineJoin: 'round',
+        interactive: false,
+        renderer: canvasRenderer
+      }).addTo(overlapLayer);
+    });
+    // ortak kısımlar yön sınıfına göre: aynı yön sarı, ters yön kesikli turuncu, kesişme mor
+    result.runs.forEach(run => {
+      L.polyline(run.coords.map(c => [c[1], c[0]]), {
         color: OVERLAP_COLOR,
         weight: 8,
         opacity: 0.8,
         lineCap: 'round',
         lineJoin: 'round',
-        renderer: canvasRenderer
-      }).addTo(map);
-      overlapLayer.bringToFront();
+        renderer: canvasRenderer,
+        ...OVERLAP_KINDS[run.kind].style
+      }).bindTooltip(`${kindLabel(run.kind)}: ${i18n.formatKm(run.endKm - run.startKm)}`, { sticky: true })
+        .addTo(overlapLayer);
+    });
+    overlapLayer.bringToFront();
+  }
+
+  function overlapOptions() {
+    return {
+      ...overlapSettings,
+      headingWindowMeters: HEADING_WINDOW_METERS,
+      sameDirectionMaxDeg: SAME_DIRECTION_MAX_DEG,
+      oppositeDirectionMinDeg: OPPOSITE_DIRECTION_MIN_DEG
+    };
+  }
+
+  // overlapEngine girdisi: her <trkseg> ayrı parça (aradaki boşluk ortak kısım sayılmasın);
+  // offsetsKm: parçanın rota üzerindeki başlangıç km'si
+  function engineTrack(i) {
+    const segs = tracksData[i].segments;
+    return {
+      index: i,
+      parts: segs.map(seg => seg.map(p => [p.lng, p.lat])),
+      offsetsKm: segs.map(seg => seg[0].dist / 1000)
+    };
+  }
+
+  // Rotanın overlapEngine çizgisi (ızgara dizini dahil); profil hizalama ve tırmanış eşleştirmesi için saklanır
+  function trackLine(i) {
+    const t = tracksData[i];
+    if (!t.line) t.line = overlapEngine.buildLines([engineTrack(i)], overlapOptions())[i];
+    return t.line;
+  }
+
+  function checkForOverlap() {
+    cancelOverlapJob();
+    clearOverlapStats();
+    if (overlapLayer) { map.removeLayer(overlapLayer); overlapLayer = null; }
+    overlapResults = null;
+
+    const indices = visibleIndices().filter(i => tracksData[i].points.length >= 2);
+    if (indices.length < 2) { overlapSelection = null; return; }
+
+    const job = {
+      id: ++overlapJobSeq, indices, tracks: indices.map(engineTrack), options: overlapOptions(),
+      reference: indices.includes(profileReference) ? profileReference : indices[0]  // bkz. similarityReference
+    };
+    overlapJob = job;
+    showOverlapProgress(0);
+    runOverlapJob(job).then(result => {
+      if (overlapJob !== job) return;
+      overlapJob = null;
+      applyOverlapResult(job, result);
+    }).catch(e => {
+      if (overlapJob !== job) return;  // iptal edildi ya da yerini yeni bir hesap aldı
+      overlapJob = null;
+      console.warn('Overlap hesaplanamadı:', e);
+      overlapSelection = null;
+      clearOverlapStats();
+    });
+  }
+
+  function applyOverlapResult(job, result) {
+    clearOverlapStats();
+    // ayrışma/km sorguları için çizgiler ve indeks sayfada da kurulur (tek geçiş, ucuz)
+    overlapResults = { ...result, lines: overlapEngine.buildLines(job.tracks, job.options), options: job.options };
+
+    // önceki seçim hâlâ geçerliyse koru; değilse 3+ rotada "hepsi", 2 rotada tek çift
+    if (!findOverlapResult(overlapSelection)) {
+      overlapSelection = overlapResults.all ? 'all' : selectionKey(overlapResults.pairs[0].indices);
+    }
+    drawOverlapSelection();
+    displayOverlapStats();
+  }
+
+  // Worker tek örnek; iptalde sonlandırılır, sonraki hesapta yeniden açılır.
+  // Açılamıyorsa (ör. sayfa file:// ile açıldı) null: hesap ana iş parçacığında yapılır.
+  function getOverlapWorker() {
+    if (overlapWorker || overlapWorkerFailed || typeof Worker === 'undefined') return overlapWorker;
+    try {
+      overlapWorker = new Worker('overlap-worker.js');
+    } catch (e) {
+      console.warn('Overlap worker açılamadı, ana iş parçacığında hesaplanacak:', e);
+      overlapWorkerFailed = true;
+    }
+    return overlapWorker;
+  }
+
+  function runOverlapJob(job) {
+    const worker = getOverlapWorker();
+    if (!worker) {
+      // ilerleme çubuğu çizilebilsin diye bir kare bekle
+      return new Promise(resolve => setTimeout(resolve, 0)).then(() =>
+        overlapEngine.compareAll(job.indices, overlapEngine.buildLines(job.tracks, job.options), job.options, null, job.reference));
+    }
+    return new Promise((resolve, reject) => {
+      job.reject = reject;
+      worker.onmessage = e => {
+        const msg = e.data;
+        if (msg.id !== job.id) return;
+        if (msg.type === 'progress') showOverlapProgress(msg.fraction);
+        else if (msg.type === 'result') resolve(msg.result);
+        else reject(new Error(msg.message));
+      };
+      // betik yüklenemedi vb.: bir daha denemeden ana iş parçacığına düş
+      worker.onerror = e => {
+        e.preventDefault();
+        console.warn('Overlap worker hatası, ana iş parçacığında hesaplanacak:', e.message);
+        worker.terminate();
+        overlapWorker = null;
+        overlapWorkerFailed = true;
+        runOverlapJob(job).then(resolve, reject);
+      };
+      worker.postMessage({ id: job.id, tracks: job.tracks, indices: job.indices, options: job.options, reference: job.reference });
+    });
+  }
+
+  function cancelOverlapJob() {
+    if (!overlapJob) return false;
+    const job = overlapJob;
+    overlapJob = null;
+    if (overlapWorker) {
+      overlapWorker.terminate();
+      overlapWorker = null;
+    }
+    if (job.reject) job.reject(new Error('cancelled'));
+    return true;
+  }
+
+  function showOverlapProgress(fraction) {
+    const statsSection = document.getElementById('stats-section');
+    const box = statsSection?.querySelector('#overlap-progress');
+    if (!box) return;
+    box.querySelector('progress').style.display = '';
+    box.querySelector('progress').value = fraction;
+    box.querySelector('.label').textContent = i18n.t('stats.progress', { pct: i18n.t('format.percent', { v: Math.round(fraction * 100) }) });
+    const btn = box.querySelector('button');
+    btn.textContent = i18n.t('stats.cancel');
+    btn.dataset.act = 'cancel';
+    box.style.display = 'flex';
+    statsSection.style.display = 'block';
+  }
+
+  function onOverlapProgressAction(e) {
+    const act = e.target.dataset && e.target.dataset.act;
+    if (act === 'retry') { checkForOverlap(); return; }
+    if (act !== 'cancel' || !cancelOverlapJob()) return;
+    const box = e.currentTarget;
+    box.querySelector('progress').style.display = 'none';
+    box.querySelector('.label').textContent = i18n.t('stats.cancelled');
+    e.target.textContent = i18n.t('stats.retry');
+    e.target.dataset.act = 'retry';
+  }
+
+  // Seçili karşılaştırmadaki her rotanın yalnız kendisine ait kısımları (compareAll hazır getirir)
+  function selectionUniqueRuns(result) {
+    if (!result.unique) {
+      result.unique = result.indices.map(i => ({
+        index: i,
+        runs: overlapEngine.findUniqueRuns(i, result.indices.filter(j => j !== i), overlapResults.lines, overlapResults.options)
+      }));
+    }
+    return result.unique;
+  }
+
+  // Her ayrışma: sapan rotadaki km aralığı + ayrıldığı/yeniden katıldığı yerde diğer rotaların km'si
+  function divergenceSegments(result) {
+    if (!result.divergences) {
+      const lines = overlapResults.lines;
+      result.divergences = [];
+      selectionUniqueRuns(result).forEach(u => {
+        const others = result.indices.filter(j => j !== u.index);
+        u.runs.forEach(run => {
+          const first = run.coords[0];
+          const last = run.coords[run.coords.length - 1];
+          result.divergences.push({
+            index: u.index,
+            coords: run.coords,
+            startKm: run.startKm,
+            endKm: run.endKm,
+            km: run.endKm - run.startKm,
+            others: others.map(j => ({
+              index: j,
+              startKm: overlapEngine.kmAlongLine(lines[j], first),
+              endKm: overlapEngine.kmAlongLine(lines[j], last)
+            }))
+          });
+        });
+      });
+    }
+    return result.divergences;
+  }
+
+  // --- Export ---
+  function downloadFile(fileName, content, mime) {
+    const blob = new Blob([content], { type: mime });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  // [lng,lat] örnek dizisi -> gpxParser noktası; yükseklik ve zaman, örneğin kaynak rotadaki km'sinden ara değerlenir
+  function coordsToGpxPoints(coords, index) {
+    const line = overlapResults.lines[index];
+    const points = tracksData[index].points;
+    const lastDist = points[points.length - 1].dist;
+    return coords.map(c => {
+      const p = pointAtDistance(points, Math.min(lastDist, overlapEngine.kmAlongLine(line, c) * 1000));
+      return { lat: c[1], lon: c[0], ele: p && p.ele != null ? Math.round(p.ele * 10) / 10 : null, time: p && p.time != null ? new Date(p.time) : null };
+    });
+  }
+
+  // tracks: [{ name, segments: [[gpx nokta]] }] -> GPX metni
+  function buildGpx(title, tracks) {
+    const gpx = new gpxParser();
+    gpx.metadata.name = title;
+    gpx.metadata.time = new Date();
+    gpx.tracks = tracks.filter(t => t.segments.length);
+    return gpx.toGPX();
+  }
+
+  function multiLineFeature(coordSegments, properties) {
+    return { type: 'Feature', geometry: { type: 'MultiLineString', coordinates: coordSegments }, properties };
+  }
+
+  const sumRunKm = runs => runs.reduce((sum, r) => sum + (r.endKm - r.startKm), 0);
+
+  function trackSummary(t) {
+    const filtered = filteredElevationGain(t.points, elevationFilter);
+    return {
+      name: t.name,
+      color: t.color,
+      distanceKm: Number(t.totalDistance.toFixed(3)),
+      ascentM: filtered ? Math.round(filtered.gain) : null,
+      descentM: filtered ? Math.round(filtered.loss) : null,
+      elapsedSec: t.timeStats ? Math.round(t.timeStats.elapsedSec) : null,
+      movingSec: t.timeStats ? Math.round(t.timeStats.movingSec) : null,
+      avgKmh: t.timeStats && t.timeStats.avgKmh != null ? Number(t.timeStats.avgKmh.toFixed(2)) : null
+    };
+  }
+
+  function comparisonGeoJSON(result, uniques) {
+    const names = indices => indices.map(i => tracksData[i].name);
+    const features = [];
+
+    overlapResults.indices.forEach(i => {
+      const t = tracksData[i];
+      features.push(multiLineFeature(
+        t.segments.map(seg => seg.map(p => (p.ele != null ? [p.lng, p.lat, p.ele] : [p.lng, p.lat]))),
+        { kind: 'track', ...trackSummary(t) }
+      ));
+    });
+    overlapResults.pairs.concat(overlapResults.all ? [overlapResults.all] : []).forEach(r => {
+      features.push(multiLineFeature(r.segments, {
+        kind: r.indices.length > 2 ? 'overlap-all' : 'overlap',
+        tracks: names(r.indices),
+        overlapKm: Number(r.km.toFixed(3)),
+        sameDirectionKm: Number(r.kmByKind.same.toFixed(3)),
+        oppositeDirectionKm: Number(r.kmByKind.opposite.toFixed(3)),
+        crossingKm: Number(r.kmByKind.crossing.toFixed(3)),
+        selected: r === result
+      }));
+    });
+    uniques.forEach(u => {
+      features.push(multiLineFeature(u.runs.map(r => r.coords), {
+        kind: 'unique',
+        track: tracksData[u.index].name,
+        comparedWith: names(result.indices.filter(j => j !== u.index)),
+        uniqueKm: Number(sumRunKm(u.runs).toFixed(3))
+      }));
+    });
+
+    return {
+      type: 'FeatureCollection',
+      properties: {
+        generated: new Date().toISOString(),
+        overlapThresholdMeters: overlapResults.options.thresholdMeters,
+        overlapExitMarginMeters: overlapResults.options.exitMarginMeters,
+        resampleStepMeters: overlapResults.options.stepMeters,
+        minSegmentMeters: overlapResults.options.minSegmentMeters,
+        selection: names(result.indices)
+      },
+      features
+    };
+  }
+
+  function exportComparison(kind) {
+    const result = findOverlapResult(overlapSelection);
+    if (!result) return;
+    const label = result.indices.map(i => tracksData[i].name).join(' + ');
+
+    try {
+      if (kind === 'shared-gpx') {
+        downloadFile(`${i18n.t('export.sharedFile')}.gpx`, buildGpx(i18n.t('export.sharedTitle', { label }), [
+          { name: i18n.t('export.sharedName', { label }), segments: result.segments.map(coords => coordsToGpxPoints(coords, result.base)) }
+        ]), 'application/gpx+xml');
+      } else if (kind === 'shared-geojson') {
+        const fc = { type: 'FeatureCollection', features: [multiLineFeature(result.segments, { kind: 'overlap', tracks: label, overlapKm: Number(result.km.toFixed(3)) })] };
+        downloadFile(`${i18n.t('export.sharedFile')}.geojson`, JSON.stringify(fc), 'application/geo+json');
+      } else if (kind === 'unique-gpx') {
+        const uniques = selectionUniqueRuns(result);
+        downloadFile(`${i18n.t('export.uniqueFile')}.gpx`, buildGpx(i18n.t('export.uniqueTitle', { label }), uniques.map(u => ({
+          name: i18n.t('export.uniqueName', { name: tracksData[u.index].name }),
+          segments: u.runs.map(r => coordsToGpxPoints(r.coords, u.index))
+        }))), 'application/gpx+xml');
+      } else if (kind === 'unique-geojson') {
+        const fc = {
+          type: 'FeatureCollection',
+          features: selectionUniqueRuns(result).map(u => multiLineFeature(u.runs.map(r => r.coords), {
+            kind: 'unique', track: tracksData[u.index].name, uniqueKm: Number(sumRunKm(u.runs).toFixed(3))
+          }))
+        };
+        downloadFile(`${i18n.t('export.uniqueFile')}.geojson`, JSON.stringify(fc), 'application/geo+json');
+      } else if (kind === 'comparison-geojson') {
+        const fc = comparisonGeoJSON(result, selectionUniqueRuns(result));
+        downloadFile(`${i18n.t('export.comparisonFile')}.geojson`, JSON.stringify(fc, null, 1), 'application/geo+json');
+      }
+    } catch (e) {
+      console.error('Export error:', e);
+      alert(i18n.t('export.failed'));
+    }
+  }
 
-      const multi = turf.multiLineString(overlappingSegments);
-      const overlapKm = turf.length(multi, { units: 'kilometers' });
-      displayOverlapStats(overlapKm, track1, track2);
+  // --- Sessions ---
+  // Rotalar işlenmiş hâlleriyle saklanır: [lat, lng, ele, time] dizileri (<trkseg> yapısı korunur);
+  // sensörlü rotalarda ardından SENSORS sırasıyla sensör değerleri
+  function serializeTrack(t) {
+    const withSensors = t.rawSegments.some(seg => seg.some(p => SENSORS.some(s => p[s.key] != null)));
+    return {
+      name: t.name,
+      fileName: t.fileName,
+      color: t.color,
+      visible: t.visible,
+      showWaypoints: t.showWaypoints,
+      segments: t.rawSegments.map(seg => seg.map(p => {
+        const rec = [p.lat, p.lng, p.ele, p.time];
+        return withSensors ? rec.concat(SENSORS.map(s => p[s.key])) : rec;
+      })),
+      waypoints: t.waypoints
+    };
+  }
+
+  function sessionState() {
+    return {
+      version: 1,
+      tracks: trackOrder.map(i => serializeTrack(tracksData[i])),
+      settings: {
+        displayMode, colorMode, gpsCleanup: gpsCleanupEnabled, showClimbs, speedMetric, elevationFilter, overlapSettings, waypointRadius,
+        profileReference: profileReference != null ? trackOrder.indexOf(profileReference) : null  // listedeki sırası
+      }
+    };
+  }
+
+  // Otomatik kayıt: art arda değişiklikler tek yazmada toplanır
+  function scheduleSave() {
+    if (restoringSession || sessionStoreFailed || !window.sessionStore) return;
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(() => {
+      sessionStore.saveCurrent(sessionState()).catch(e => {
+        // bir kez uyar; depolama yoksa (ör. gizli pencere) her değişiklikte yeniden denemeyelim
+        console.warn('Oturum kaydedilemedi, otomatik kayıt kapatıldı:', e);
+        sessionStoreFailed = true;
+      });
+    }, SESSION_SAVE_DELAY_MS);
+  }
+
+  // Kayıttan ya da bağlantıdan gelen değerler olduğu gibi kullanılmaz: geçersizse yerine fallback
+  const validNumber = (v, min, fallback) => (typeof v === 'number' && Number.isFinite(v) && v >= min ? v : fallback);
+  const validColor = (c, fallback) => (typeof c === 'string' && /^#[0-9a-f]{6}$/i.test(c) ? c : fallback);
+  const validLatLng = (lat, lng) => Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
+  function restoreTrack(rec) {
+    const gpx = new gpxParser();
+    const segments = rec.segments.map(seg => seg.map(([lat, lon, ele, time, ...sensors]) => {
+      const pt = { lat, lon, ele, time: time != null ? new Date(time) : null };
+      SENSORS.forEach((s, n) => { pt[s.key] = sensors[n] != null ? sensors[n] : null; });
+      return pt;
+    }));
+    const points = [].concat(...segments);
+    gpx.tracks = [{ name: rec.name, points, segments, elevation: gpx.calcElevation(points) }];
+
+    const index = tracksData.length;
+    processTrack(gpx, { kind: 'track', index: 0 }, index, rec.fileName);
+    Object.assign(tracksData[index], {
+      fileName: rec.fileName || null,
+      color: validColor(rec.color, tracksData[index].color),
+      visible: rec.visible !== false,
+      showWaypoints: rec.showWaypoints !== false,
+      waypoints: (rec.waypoints || []).filter(w => w && validLatLng(w.lat, w.lng))
+    });
+    addTrackToViews(index);
+    return index;
+  }
+
+  function clearAllTracks() {
+    cancelOverlapJob();
+    pauseReplay();
+    [mapLayers, gradeLayers, waypointLayers, hoverMarkers].forEach(layers => layers.forEach(layer => layer && map.removeLayer(layer)));
+    if (climbLayer) { map.removeLayer(climbLayer); climbLayer = null; }
+    tracksData = [];
+    trackOrder = [];
+    mapLayers = [];
+    gradeLayers = [];
+    waypointLayers = [];
+    hoverMarkers = [];
+    chartDatasets = [];
+    speedDatasets = [];
+    if (overlapLayer) { map.removeLayer(overlapLayer); overlapLayer = null; }
+    overlapResults = null;
+    overlapSelection = null;
+    selectedClimb = null;
+    profileReference = null;
+    profileAlignment = [];
+  }
+
+  // Ayarları duruma ve kenar çubuğundaki kutulara yansıtır (kutulara değer yazmak 'input' tetiklemez)
+  function applySettings(settings) {
+    const setValue = (id, v) => { const el = document.getElementById(id); if (el) el.value = v; };
+    if (settings.overlapSettings) {
+      const defaults = defaultOverlapSettings();
+      overlapSettings = { ...defaults };
+      Object.keys(OVERLAP_SETTING_INPUTS).forEach(id => {
+        const { key, min } = OVERLAP_SETTING_INPUTS[id];
+        overlapSettings[key] = validNumber(settings.overlapSettings[key], min, defaults[key]);
+      });
+    }
+    if (settings.elevationFilter) {
+      elevationFilter = {
+        smoothMeters: validNumber(settings.elevationFilter.smoothMeters, 0, DEFAULT_ELEV_SMOOTH_METERS),
+        hysteresisMeters: validNumber(settings.elevationFilter.hysteresisMeters, 0, DEFAULT_ELEV_HYSTERESIS_METERS)
+      };
+    }
+    if (validNumber(settings.waypointRadius, 0, 0) > 0) waypointRadius = settings.waypointRadius;
+    renderMeterInputs();
+    // seçiciler bilinmeyen değeri varsayılana çevirir; kutuya onların kabul ettiği değer yazılır
+    if (settings.speedMetric) {
+      setSpeedMetric(settings.speedMetric);
+      setValue('speedMetric', speedMetric);
+    }
+    if (settings.displayMode) {
+      setDisplayMode(settings.displayMode);
+      setValue('displayMode', displayMode);
+    }
+    if (settings.colorMode) {
+      setColorMode(settings.colorMode);
+      setValue('colorMode', colorMode);
+    }
+    if (typeof settings.showClimbs === 'boolean') {
+      showClimbs = settings.showClimbs;
+      const box = document.getElementById('showClimbs');
+      if (box) box.checked = showClimbs;
+    }
+    if (typeof settings.gpsCleanup === 'boolean') {
+      const box = document.getElementById('gpsCleanup');
+      if (box) box.checked = settings.gpsCleanup;
+      setGpsCleanup(settings.gpsCleanup);
+    }
+  }
+
+  // Mevcut rotaları kapatıp kaydı açar; yüklenemeyen rota atlanır
+  function applySessionState(state) {
+    restoringSession = true;
+    const added = [];
+    try {
+      clearAllTracks();
+      applySettings(state.settings || {});
+      const refPos = (state.settings || {}).profileReference;
+      (state.tracks || []).forEach((rec, pos) => {
+        try {
+          const index = restoreTrack(rec);
+          added.push(index);
+          if (pos === refPos) setProfileReference(index);
+        } catch (e) {
+          console.warn('Kayıtlı rota açılamadı:', rec && rec.name, e);
+        }
+      });
+    } finally {
+      restoringSession = false;
+    }
+    fitMapToTracks(added);
+    refreshTracks();
+  }
+
+  // Sayfa açılışında son durum; dosya yüklemeleriyle aynı kuyrukta (araya girmesinler)
+  function restoreCurrentSession() {
+    if (!window.sessionStore) return;
+    loadQueue = loadQueue
+      .then(() => sessionStore.loadCurrent())
+      .then(state => { if (state) applySessionState(state); })
+      .catch(e => console.warn('Kayıtlı oturum açılamadı:', e));
+  }
+
+  function defaultSessionName() {
+    const names = trackOrder.map(i => tracksData[i].name);
+    return names.slice(0, 3).join(' + ') + (names.length > 3 ? ` +${names.length - 3}` : '');
+  }
+
+  function renderSessionList() {
+    const section = document.getElementById('sessions-section');
+    const list = document.getElementById('sessionList');
+    if (!section || !list) return Promise.resolve();
+    return sessionStore.listSessions().then(sessions => {
+      section.style.display = 'block';
+      list.innerHTML = sessions.length
+        ? sessions.map(s => `
+          <li data-id="${escapeHtml(s.id)}">
+            <span class="session-name" title="${escapeHtml(s.name)}">${escapeHtml(s.name)}</span>
+            <small>${i18n.t('sessions.trackCount', { n: s.trackCount })} · ${new Date(s.savedAt).toLocaleString(i18n.locale(), { dateStyle: 'short', timeStyle: 'short' })}</small>
+            <button type="button" data-act="open">${i18n.t('sessions.open')}</button>
+            <button type="button" data-act="delete" class="remove" title="${i18n.t('sessions.deleteTitle')}">${i18n.t('sessions.delete')}</button>
+          </li>`).join('')
+        : `<li class="muted">${i18n.t('sessions.empty')}</li>`;
+    }).catch(e => {
+      // IndexedDB yok: bölüm gizli kalır, uygulama kalıcılık olmadan çalışır
+      console.warn('Kayıtlı karşılaştırmalar okunamadı:', e);
+      section.style.display = 'none';
+    });
+  }
+
+  function initSessionControls() {
+    const form = document.getElementById('sessionForm');
+    const nameInput = document.getElementById('sessionName');
+    const list = document.getElementById('sessionList');
+    if (!window.sessionStore || !form || !nameInput || !list) return;
+
+    form.addEventListener('submit', e => {
+      e.preventDefault();
+      if (!trackOrder.length) { alert(i18n.t('sessions.nothingToSave')); return; }
+      const name = nameInput.value.trim() || defaultSessionName();
+      sessionStore.saveSession(name, sessionState())
+        .then(() => { nameInput.value = ''; return renderSessionList(); })
+        .catch(err => {
+          console.error('Session save error:', err);
+          alert(i18n.t('sessions.saveFailed'));
+        });
+    });
+
+    list.addEventListener('click', e => {
+      const act = e.target.dataset && e.target.dataset.act;
+      const row = e.target.closest('li[data-id]');
+      if (!act || !row) return;
+      const id = row.dataset.id;
+      const name = row.querySelector('.session-name').textContent;
+      if (act === 'delete') {
+        if (!confirm(i18n.t('sessions.confirmDelete', { name }))) return;
+        sessionStore.deleteSession(id).then(renderSessionList).catch(err => console.error('Session delete error:', err));
+      } else if (act === 'open') {
+        if (trackOrder.length && !confirm(i18n.t('sessions.confirmOpen', { name }))) return;
+        loadQueue = loadQueue
+          .then(() => sessionStore.loadSession(id))
+          .then(state => { if (state) applySessionState(state); })
+          .catch(err => {
+            console.error('Session load error:', err);
+            alert(i18n.t('sessions.openFailed'));
+          });
+      }
+    });
+
+    renderSessionList();
+  }
+
+  // --- Share link ---
+  // Karşılaştırma sunucusuz paylaşılır: rotalar sadeleştirilip URL'nin #share= kısmına sıkıştırılarak yazılır.
+  // Bağlantı SHARE_MAX_URL_LENGTH'e sığana kadar SHARE_LEVELS sırayla denenir; hiçbiri sığmazsa
+  // yalnız harita görünümü ve ayarlar paylaşılır.
+  const SHARE_HASH_PREFIX = '#share=';
+
+  function shareTrack(t, level) {
+    const out = {
+      n: t.name,
+      c: t.color,
+      s: t.segments.map(seg => {
+        const pts = simplifyPoints(seg, level.toleranceMeters, level.elevation);
+        const enc = { p: shareLink.encodePolyline(pts.map(p => [p.lat, p.lng])) };
+        if (level.elevation && pts.every(p => Number.isFinite(p.ele))) enc.e = shareLink.encodeDeltas(pts.map(p => p.ele));
+        if (level.time && pts.every(p => p.time != null)) {
+          // saniye; mutlak başlangıç ayrı tutulur (varint kodlama 32 bit)
+          enc.t0 = Math.round(pts[0].time / 1000);
+          enc.t = shareLink.encodeDeltas(pts.map(p => Math.round(p.time / 1000) - enc.t0));
+        }
+        return enc;
+      })
+    };
+    if (!t.visible) out.h = 1;
+    if (t.waypoints.length) out.w = t.waypoints.map(w => [w.name, +w.lat.toFixed(5), +w.lng.toFixed(5)]);
+    return out;
+  }
+
+  // Paylaşım yükünü kayıtlı oturum biçimine çevirir (applySessionState ile açılır).
+  // Bağlantı herkesten gelebilir: ad düz metne, renk palete çevrilir; ayarları applySettings denetler
+  function sharedState(payload) {
+    return {
+      version: 1,
+      settings: payload.s || {},
+      tracks: payload.t.map((t, n) => ({
+        name: t.n != null ? String(t.n) : '',
+        color: validColor(t.c, trackColor(n)),
+        visible: !t.h,
+        segments: t.s.map(seg => {
+          const ele = seg.e ? shareLink.decodeDeltas(seg.e) : null;
+          const time = seg.t ? shareLink.decodeDeltas(seg.t) : null;
+          return shareLink.decodePolyline(seg.p).map(([lat, lng], k) => [
+            lat, lng, ele ? ele[k] : null, time ? (seg.t0 + time[k]) * 1000 : null
+          ]);
+        }),
+        waypoints: (t.w || []).filter(w => Array.isArray(w) && validLatLng(w[1], w[2]))
+          .map(([name, lat, lng]) => ({ name: name != null ? String(name) : null, lat, lng, ele: null }))
+      }))
+    };
+  }
+
+  // { url, level } — level: sığan ayrıntı düzeyi, null ise rotalar bağlantıya girmedi
+  async function createShareLink() {
+    const base = location.href.split('#')[0] + SHARE_HASH_PREFIX;
+    const center = map.getCenter();
+    const head = { v: 1, view: { c: [+center.lat.toFixed(5), +center.lng.toFixed(5)], z: map.getZoom() }, s: sessionState().settings };
+    for (const level of SHARE_LEVELS) {
+      const url = base + await shareLink.pack({ ...head, t: trackOrder.map(i => shareTrack(tracksData[i], level)) });
+      if (url.length <= SHARE_MAX_URL_LENGTH) return { url, level };
+    }
+    return { url: base + await shareLink.pack(head), level: null };
+  }
+
+  function shareNotes(level) {
+    if (!level) return [i18n.t('share.tooLarge')];
+    const notes = [i18n.t('share.simplified', { v: i18n.formatMeters(level.toleranceMeters) })];
+    if (!level.time) notes.push(i18n.t('share.noTime'));
+    if (!level.elevation) notes.push(i18n.t('share.noElevation'));
+    return notes;
+  }
+
+  // Adres #share= ile açıldıysa (ya da sonradan yapıştırıldıysa) karşılaştırmayı kurar
+  function openSharedLink(ask) {
+    if (!window.shareLink || !location.hash.startsWith(SHARE_HASH_PREFIX)) return;
+    const packed = location.hash.slice(SHARE_HASH_PREFIX.length);
+    // bağlantı bir kez açılır; sonrası otomatik kayıttan sürer (sayfayı yenilemek değişiklikleri silmesin)
+    history.replaceState(null, '', location.pathname + location.search);
+    loadQueue = loadQueue
+      .then(() => shareLink.unpack(packed))
+      .then(payload => {
+        if (payload.t) {
+          if (ask && trackOrder.length && !confirm(i18n.t('share.confirmOpen'))) return;
+          applySessionState(sharedState(payload));
+        } else {
+          applySettings(payload.s || {});
+          refreshTracks();
+        }
+        if (payload.view) map.setView(payload.view.c, payload.view.z);
+      })
+      .catch(e => {
+        console.error('Shared link error:', e);
+        alert(i18n.t('share.openFailed'));
+      });
+  }
+
+  function initShareControls() {
+    const btn = document.getElementById('shareBtn');
+    const result = document.getElementById('shareResult');
+    const urlInput = document.getElementById('shareUrl');
+    const notesEl = document.getElementById('shareNotes');
+    if (!window.shareLink || !btn || !result || !urlInput || !notesEl) return;
+
+    btn.addEventListener('click', () => {
+      btn.disabled = true;
+      createShareLink()
+        .then(({ url, level }) => {
+          urlInput.value = url;
+          const notes = shareNotes(level);
+          const show = extra => {
+            notesEl.innerHTML = notes.concat(extra || [], i18n.t('share.length', { n: url.length })).map(n => `<li>${escapeHtml(n)}</li>`).join('');
+          };
+          result.style.display = 'block';
+          show();
+          urlInput.select();
+          if (navigator.clipboard) navigator.clipboard.writeText(url).then(() => show(i18n.t('share.copied')), () => {});
+        })
+        .catch(e => {
+          console.error('Share link error:', e);
+          alert(i18n.t('share.createFailed'));
+        })
+        .finally(() => { btn.disabled = false; });
+    });
+    urlInput.addEventListener('focus', () => urlInput.select());
+    window.addEventListener('hashchange', () => openSharedLink(true));
+  }
+
+  // --- Language & units ---
+  // Metre cinsinden ayar kutuları gösterim biriminde (m/ft) yazılır ve okunur; durum her zaman metre
+  const METER_INPUTS = {
+    overlapThreshold: () => overlapSettings.thresholdMeters,
+    overlapExitMargin: () => overlapSettings.exitMarginMeters,
+    overlapStep: () => overlapSettings.stepMeters,
+    overlapMinSegment: () => overlapSettings.minSegmentMeters,
+    elevSmooth: () => elevationFilter.smoothMeters,
+    elevHysteresis: () => elevationFilter.hysteresisMeters,
+    waypointRadius: () => waypointRadius
+  };
+
+  const readMeterInput = input => i18n.toMeters(Number(input.value));
+  const showMeterInput = (input, m) => { input.value = +i18n.meters(m).toFixed(1); };
+
+  // Değerler ve min/max sınırları (index.html'de metre) geçerli birime çevrilir
+  function renderMeterInputs() {
+    Object.keys(METER_INPUTS).forEach(id => {
+      const input = document.getElementById(id);
+      if (!input) return;
+      if (input.dataset.minMeters == null) Object.assign(input.dataset, { minMeters: input.min, maxMeters: input.max });
+      input.min = Math.ceil(i18n.meters(Number(input.dataset.minMeters)));
+      input.max = Math.floor(i18n.meters(Number(input.dataset.maxMeters)));
+      showMeterInput(input, METER_INPUTS[id]());
+    });
+  }
+
+  // Dil ya da birim değişince metinler ve birimli değerler yeniden yazılır; hesaplar yinelenmez
+  function applyLocale() {
+    i18n.applyToDom(document);
+    renderMeterInputs();
+    renderGradeLegend();
+    updateChartAxes();
+    trackOrder.forEach(i => {
+      drawTrackOnChart(tracksData[i], i);
+      drawTrackOnSpeedChart(tracksData[i], i);
+    });
+    if (chartCrosshair) setChartCrosshair(null);
+    renderTrackList();
+    renderTimeStats();
+    renderElevationStats();
+    renderWaypointTable();
+    renderCleanupReport();
+    renderClimbs();
+    if (replay.tracks.length) updateReplay();
+    if (overlapResults) {
+      drawOverlapSelection();
+      displayOverlapStats();
+    }
+    const sessions = document.getElementById('sessions-section');
+    if (sessions && sessions.style.display !== 'none') renderSessionList();
+  }
+
+  function initLocaleControls() {
+    const langSelect = document.getElementById('langSelect');
+    const unitSelect = document.getElementById('unitSelect');
+    if (langSelect) {
+      langSelect.value = i18n.language();
+      langSelect.addEventListener('change', () => { i18n.setLanguage(langSelect.value); applyLocale(); });
+    }
+    if (unitSelect) {
+      unitSelect.value = i18n.units();
+      unitSelect.addEventListener('change', () => { i18n.setUnits(unitSelect.value); applyLocale(); });
     }
   }
 
   // --- Init ---
   initMap();
   initChart();
+  initSpeedChart();
   createStatsSection();
-  addFileInput();
-  addBtn.addEventListener('click', addFileInput);
+  initReplayControls();
+  initElevationFilterControls();
+  initOverlapSettingsControls();
+  initProfileAlignControls();
+  initCleanupControls();
+  initClimbControls();
+  initWaypointControls();
+  initFileInputs();
+  initSessionControls();
+  initShareControls();
+  initLocaleControls();
+  applyLocale();
+  restoreCurrentSession();
+  openSharedLink(false);
+  speedMetricSelect?.addEventListener('change', () => setSpeedMetric(speedMetricSelect.value));
+  displayModeSelect?.addEventListener('change', () => setDisplayMode(displayModeSelect.value));
+  colorModeSelect?.addEventListener('change', () => setColorMode(colorModeSelect.value));
 });
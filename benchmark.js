@@ -0,0 +1,327 @@
+/**
+ * Overlap benchmark -- compares overlapEngine with the previous turf-based algorithm
+ *
+ * benchmark.html'den açılır. Seçilen büyük GPX dosyalarının (ya da üretilen sentetik
+ * rotaların) her çifti iki algoritmayla hesaplanır; süreler ve ortak km / yön sınıfı /
+ * koşu sınırı farkları tablo olarak gösterilir. Konsoldan da kullanılabilir:
+ * overlapBenchmark.compareCase(name, lineA, lineB).
+ */
+(function (global) {
+  'use strict';
+
+  const TOLERANCE_KM = 0.001;  // toplamlar bu farkın altında "aynı" sayılır
+
+  // --- Legacy algorithm (motor öncesi turf tabanlı app.js; tüm çizgi taranır) ---
+
+  function legacySampleLine(line, offsetKm, opts) {
+    const stepKm = opts.stepMeters / 1000;
+    const lenKm = turf.length(line, { units: 'kilometers' });
+    const sampled = [];
+    for (let d = 0; d <= lenKm; d += stepKm) {
+      sampled.push({ coord: turf.along(line, d, { units: 'kilometers' }).geometry.coordinates, km: offsetKm + d });
+    }
+    const lastCoord = line.geometry.coordinates[line.geometry.coordinates.length - 1];
+    const tail = sampled[sampled.length - 1];
+    if (!tail || tail.coord[0] !== lastCoord[0] || tail.coord[1] !== lastCoord[1]) {
+      sampled.push({ coord: lastCoord, km: offsetKm + lenKm });
+    }
+    return sampled;
+  }
+
+  function legacyDistToParts(pt, parts) {
+    let min = Infinity;
+    for (const part of parts) min = Math.min(min, turf.pointToLineDistance(pt, part, { units: 'meters' }));
+    return min;
+  }
+
+  function legacySplitRuns(line, distFn, opts) {
+    const enterThresh = opts.thresholdMeters;
+    const exitThresh = opts.thresholdMeters + opts.exitMarginMeters;
+    const shared = [];
+    const flush = run => {
+      if (run.length > 1) shared.push({ coords: run.map(s => s.coord), kms: run.map(s => s.km), startKm: run[0].km, endKm: run[run.length - 1].km });
+    };
+    line.parts.forEach((part, k) => {
+      let current = [];
+      let inside = false;
+      for (const sample of legacySampleLine(part, line.offsetsKm[k], opts)) {
+        const distM = distFn(sample.coord);
+        const nowInside = inside ? distM <= exitThresh : distM <= enterThresh;
+        if (nowInside !== inside) {
+          if (inside) flush(current);
+          current = [];
+          inside = nowInside;
+        }
+        current.push(sample);
+      }
+      if (inside) flush(current);
+    });
+    return shared;
+  }
+
+  function headingDeg(a, b) {
+    const dx = (b[0] - a[0]) * Math.cos((a[1] + b[1]) / 2 * Math.PI / 180);
+    const dy = b[1] - a[1];
+    return dx || dy ? Math.atan2(dx, dy) * 180 / Math.PI : null;
+  }
+
+  function headingDiff(h1, h2) {
+    const d = Math.abs(h1 - h2) % 360;
+    return d > 180 ? 360 - d : d;
+  }
+
+  function legacyHeadingNear(coord, line, opts) {
+    const pt = turf.point(coord);
+    let best = null;
+    line.parts.forEach(part => {
+      const near = turf.nearestPointOnLine(part, pt, { units: 'meters' });
+      if (!best || near.properties.dist < best.near.properties.dist) best = { part, near };
+    });
+    const coords = best.part.geometry.coordinates;
+    const at = best.near.geometry.coordinates;
+    const kx = 111320 * Math.cos(at[1] * Math.PI / 180);
+    const far = c => Math.hypot((c[0] - at[0]) * kx, (c[1] - at[1]) * 110540) >= opts.headingWindowMeters;
+    let a = Math.min(best.near.properties.index, coords.length - 2);
+    let b = a + 1;
+    while (a > 0 && !far(coords[a])) a--;
+    while (b < coords.length - 1 && !far(coords[b])) b++;
+    return headingDeg(coords[a], coords[b]);
+  }
+
+  function legacyClassifyRuns(runs, otherLines, opts) {
+    const w = Math.max(1, Math.round(opts.headingWindowMeters / opts.stepMeters));
+    const out = [];
+    runs.forEach(run => {
+      const n = run.coords.length;
+      const raw = run.coords.map((coord, k) => {
+        const own = headingDeg(run.coords[Math.max(0, k - w)], run.coords[Math.min(n - 1, k + w)]);
+        let kind = 'same';
+        if (own == null) return kind;
+        for (const line of otherLines) {
+          const other = legacyHeadingNear(coord, line, opts);
+          if (other == null) continue;
+          const diff = headingDiff(own, other);
+          if (diff >= opts.oppositeDirectionMinDeg) kind = 'opposite';
+          else if (diff > opts.sameDirectionMaxDeg) return 'crossing';
+        }
+        return kind;
+      });
+      const kinds = raw.map((own, k) => {
+        const counts = {};
+        for (let j = Math.max(0, k - w); j <= Math.min(n - 1, k + w); j++) counts[raw[j]] = (counts[raw[j]] || 0) + 1;
+        return Object.keys(counts).reduce((best, kind) => (counts[kind] > counts[best] ? kind : best), own);
+      });
+      let start = 0;
+      for (let k = 1; k <= n; k++) {
+        if (k < n && kinds[k] === kinds[start]) continue;
+        const end = Math.min(k, n - 1);
+        if (end > start) out.push({ kind: kinds[start], coords: run.coords.slice(start, end + 1), startKm: run.kms[start], endKm: run.kms[end] });
+        start = k;
+      }
+    });
+    return out;
+  }
+
+  // tracks: [{ parts, offsetsKm }] -> { runs, km, kmByKind }
+  function legacyFindOverlap(tracks, options) {
+    const opts = Object.assign({}, overlapEngine.DEFAULTS, options);
+    const lines = tracks.map(t => {
+      const parts = t.parts.map(coords => turf.lineString(coords));
+      return { parts, offsetsKm: t.offsetsKm, lengthKm: parts.reduce((sum, p) => sum + turf.length(p, { units: 'kilometers' }), 0) };
+    });
+    const sorted = lines.slice().sort((x, y) => x.lengthKm - y.lengthKm);
+    const others = sorted.slice(1);
+    const exitThresh = opts.thresholdMeters + opts.exitMarginMeters;
+    const maxDistTo = coord => {
+      const pt = turf.point(coord);
+      let max = 0;
+      for (const line of others) {
+        max = Math.max(max, legacyDistToParts(pt, line.parts));
+        if (max > exitThresh) break;
+      }
+      return max;
+    };
+    const runs = legacyClassifyRuns(legacySplitRuns(sorted[0], maxDistTo, opts), others, opts);
+    const km = runs.length ? turf.length(turf.multiLineString(runs.map(r => r.coords)), { units: 'kilometers' }) : 0;
+    const kmByKind = { same: 0, opposite: 0, crossing: 0 };
+    runs.forEach(r => { kmByKind[r.kind] += r.endKm - r.startKm; });
+    return { runs, km, kmByKind };
+  }
+
+  // --- Comparison ---
+
+  const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+  /**
+   * Run both algorithms on one pair and diff the results.
+   *
+   * @param  {string} name - Case label
+   * @param  {Object} a - { parts: [[[lng, lat]]], offsetsKm }
+   * @param  {Object} b - Same shape as a
+   * @param  {Object} options - { legacy: boolean, ...engine options }
+   *
+   * @return {Object} Timings, totals and differences
+   */
+  function compareCase(name, a, b, options) {
+    const opts = Object.assign({ legacy: true }, options);
+    const row = { name, lengthsKm: [a, b].map(t => t.parts.reduce((sum, p) => sum + overlapEngine.lengthKm(p), 0)) };
+
+    let t0 = now();
+    const lines = overlapEngine.buildLines([Object.assign({ index: 0 }, a), Object.assign({ index: 1 }, b)], opts);
+    const fresh = overlapEngine.findOverlap([0, 1], lines, opts);
+    row.engineMs = now() - t0;
+    row.engine = { km: fresh.km, kmByKind: fresh.kmByKind, runs: fresh.runs.length };
+    if (!opts.legacy) return row;
+
+    t0 = now();
+    const old = legacyFindOverlap([a, b], opts);
+    row.legacyMs = now() - t0;
+    row.legacy = { km: old.km, kmByKind: old.kmByKind, runs: old.runs.length };
+
+    row.kmDiff = Math.abs(fresh.km - old.km);
+    row.kindDiff = Math.max(...Object.keys(fresh.kmByKind).map(k => Math.abs(fresh.kmByKind[k] - old.kmByKind[k])));
+    // koşu sınırları: aynı sayıda koşu varsa başlangıç/bitiş km'lerindeki en büyük kayma
+    row.boundaryDiffKm = fresh.runs.length === old.runs.length
+      ? Math.max(0, ...fresh.runs.map((r, i) => Math.max(Math.abs(r.startKm - old.runs[i].startKm), Math.abs(r.endKm - old.runs[i].endKm))))
+      : null;
+    row.same = row.kmDiff < TOLERANCE_KM && row.kindDiff < TOLERANCE_KM && row.boundaryDiffKm != null && row.boundaryDiffKm < TOLERANCE_KM;
+    return row;
+  }
+
+  // --- Synthetic set ---
+
+  // Basit deterministik üreteç: aynı tohum her seferinde aynı rotaları verir
+  function random(seed) {
+    let s = seed >>> 0;
+    return () => {
+      s = (s * 1664525 + 1013904223) >>> 0;
+      return s / 4294967296;
+    };
+  }
+
+  /**
+   * Two long rides over the same road network: B follows A with GPS jitter,
+   * takes a few detours, and rides one stretch in the opposite direction.
+   *
+   * @param  {number} km - Approximate length of A
+   * @param  {number} seed - Generator seed
+   *
+   * @return {Array} [a, b] as { parts, offsetsKm }
+   */
+  function syntheticPair(km, seed) {
+    const rnd = random(seed || 1);
+    const stepM = 5;                          // tipik 1 sn kayıt aralığı
+    const n = Math.round(km * 1000 / stepM);
+    const a = [];
+    let lng = 29, lat = 41, heading = rnd() * 360;
+    for (let i = 0; i < n; i++) {
+      heading += (rnd() - 0.5) * 8;
+      lat += stepM * Math.cos(heading * Math.PI / 180) / 110540;
+      lng += stepM * Math.sin(heading * Math.PI / 180) / (111320 * Math.cos(lat * Math.PI / 180));
+      a.push([lng, lat]);
+    }
+    const jitter = () => (rnd() - 0.5) * 6 / 110540;  // ±3 m
+    const b = [];
+    for (let i = 0; i < n; i++) {
+      const detour = i % Math.round(n / 4) > Math.round(n / 4) - Math.round(n / 40);  // her çeyreğin sonunda sapma
+      const offset = detour ? 300 / 110540 : 0;
+      b.push([a[i][0] + jitter(), a[i][1] + offset + jitter()]);
+    }
+    // son onda birlik kısım ters yönde
+    const tail = b.splice(Math.round(n * 0.9));
+    b.push(...tail.reverse());
+    return [a, b].map(coords => ({ parts: [coords], offsetsKm: [0] }));
+  }
+
+  // gpxParser -> { parts, offsetsKm }; bütün iz ve rotalar tek rota gibi birleştirilir
+  function linesFromGpx(gpx) {
+    const parts = [];
+    (gpx.tracks || []).concat(gpx.routes || []).forEach(tr => {
+      (tr.segments && tr.segments.length ? tr.segments : [tr.points]).forEach(seg => {
+        if (seg.length >= 2) parts.push(seg.map(p => [p.lon, p.lat]));
+      });
+    });
+    let km = 0;
+    const offsetsKm = parts.map(coords => {
+      const start = km;
+      km += overlapEngine.lengthKm(coords);
+      return start;
+    });
+    return { parts, offsetsKm };
+  }
+
+  // --- Page ---
+
+  function initPage() {
+    const out = document.getElementById('results');
+    const status = document.getElementById('status');
+    const legacyBox = document.getElementById('runLegacy');
+    const fmt = (v, d) => (v == null ? '–' : v.toFixed(d));
+    // durum adı dosya adlarından gelir
+    const escapeHtml = v => String(v == null ? '' : v)
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+    const render = rows => {
+      out.innerHTML = `
+        <table class="data-table">
+          <thead><tr><th>Durum</th><th>A / B km</th><th>Yeni (ms)</th><th>Eski (ms)</th><th>Hızlanma</th>
+            <th>Ortak km (yeni / eski)</th><th>Fark km</th><th>Yön sınıfı farkı</th><th>Koşu (yeni / eski)</th><th>Sınır kayması km</th><th>Sonuç</th></tr></thead>
+          <tbody>${rows.map(r => `
+            <tr>
+              <td>${escapeHtml(r.name)}</td>
+              <td class="num">${r.lengthsKm.map(v => v.toFixed(1)).join(' / ')}</td>
+              <td class="num">${fmt(r.engineMs, 0)}</td>
+              <td class="num">${fmt(r.legacyMs, 0)}</td>
+              <td class="num">${r.legacyMs ? `${(r.legacyMs / r.engineMs).toFixed(0)}×` : '–'}</td>
+              <td class="num">${fmt(r.engine.km, 3)} / ${r.legacy ? fmt(r.legacy.km, 3) : '–'}</td>
+              <td class="num">${fmt(r.kmDiff, 4)}</td>
+              <td class="num">${fmt(r.kindDiff, 4)}</td>
+              <td class="num">${r.engine.runs} / ${r.legacy ? r.legacy.runs : '–'}</td>
+              <td class="num">${fmt(r.boundaryDiffKm, 4)}</td>
+              <td>${r.legacy ? (r.same ? 'aynı' : '<strong>farklı</strong>') : '–'}</td>
+            </tr>`).join('')}
+          </tbody>
+        </table>`;
+    };
+
+    // her durum ayrı bir görevde: tablo aralarda güncellenebilsin
+    const runCases = async cases => {
+      const rows = [];
+      for (const c of cases) {
+        status.textContent = `Hesaplanıyor: ${c.name}…`;
+        await new Promise(resolve => setTimeout(resolve, 20));
+        rows.push(compareCase(c.name, c.a, c.b, { legacy: legacyBox.checked }));
+        render(rows);
+      }
+      status.textContent = `${rows.length} durum tamamlandı.`;
+    };
+
+    document.getElementById('runSynthetic').addEventListener('click', () => {
+      const sizes = document.getElementById('sizes').value.split(',').map(Number).filter(v => v > 0);
+      runCases(sizes.map((km, i) => {
+        const [a, b] = syntheticPair(km, i + 1);
+        return { name: `Sentetik ${km} km`, a, b };
+      }));
+    });
+
+    document.getElementById('files').addEventListener('change', async e => {
+      const files = [...e.target.files];
+      const lines = [];
+      for (const file of files) {
+        const gpx = new gpxParser();
+        gpx.parse(await file.text());
+        lines.push({ name: file.name, line: linesFromGpx(gpx) });
+      }
+      const cases = [];
+      for (let i = 0; i < lines.length; i++) {
+        for (let j = i + 1; j < lines.length; j++) {
+          cases.push({ name: `${lines[i].name} × ${lines[j].name}`, a: lines[i].line, b: lines[j].line });
+        }
+      }
+      runCases(cases);
+    });
+  }
+
+  global.overlapBenchmark = { compareCase, legacyFindOverlap, syntheticPair, linesFromGpx };
+  if (typeof document !== 'undefined') document.addEventListener('DOMContentLoaded', initPage);
+})(window);
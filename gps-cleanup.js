@@ -0,0 +1,205 @@
+/**
+ * GPS cleanup -- removes recording noise from track segments before they are measured and compared
+ *
+ * Sırasıyla: aynı zaman damgalı/aynı konumlu yinelenen noktalar, ima ettiği hız akla yatkın
+ * olmayan konum sıçramaları, durma sırasında aynı yerde titreyen noktalar atılır; ardından
+ * yükseklik kopuklukları (ör. bir anlık 0 m) ve eksik yükseklikler mesafeye göre ara değerlenir.
+ * Zamanı olmayan noktalara (planlanmış rotalar) yalnız yineleme ve yükseklik adımları uygulanır.
+ *
+ * Nokta girdisi: { lat, lng, ele, time (ms) }; girdi değiştirilmez, çıktı noktaları kopyadır.
+ */
+(function (global) {
+  'use strict';
+
+  const DEFAULTS = {
+    maxSpeedKmh: 200,          // son sağlam noktadan bundan hızlı gidiş konum sıçraması sayılır
+    maxSpikePoints: 5,         // bundan uzun sıçrama dizisi gerçek bir atlamadır (ör. feribot, uzun sinyal kaybı)
+    jitterMeters: 5,           // durma sırasında bu yarıçapta kalan noktalar atılır...
+    stopSpeedMps: 0.5,         // ...son noktaya göre ortalama hız bunun altındaysa ve ondan giderek uzaklaşmıyorlarsa
+    maxGradePercent: 100,      // yükseklik farkı bu eğim + eleToleranceMeters'ı aşarsa kopukluk sayılır
+    eleToleranceMeters: 25
+  };
+
+  function distMeters(a, b) {
+    const toRad = d => d * Math.PI / 180;
+    const dφ = toRad(b.lat - a.lat), dλ = toRad(b.lng - a.lng);
+    const h = Math.sin(dφ / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dλ / 2) ** 2;
+    return 6371000 * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+  }
+
+  function pathMeters(points) {
+    let sum = 0;
+    for (let i = 1; i < points.length; i++) sum += distMeters(points[i - 1], points[i]);
+    return sum;
+  }
+
+  // Noktadan noktaya toplam tırmanış (gpxparser'ın calcElevation'ı gibi, filtresiz)
+  function ascentMeters(points) {
+    let sum = 0;
+    for (let i = 1; i < points.length; i++) {
+      const d = points[i].ele - points[i - 1].ele;
+      if (d > 0) sum += d;
+    }
+    return sum;
+  }
+
+  function isDuplicate(last, p) {
+    if (last.time != null && p.time != null) return p.time === last.time;
+    return p.lat === last.lat && p.lng === last.lng && p.ele === last.ele;
+  }
+
+  // Noktalar anchor'dan her adımda uzaklaşıyor mu: öyleyse durma titremesi değil, yavaş ama kararlı ilerleme
+  function isSteady(anchor, points) {
+    let prev = 0;
+    return points.every(p => {
+      const d = distMeters(anchor, p);
+      const ok = d > prev;
+      prev = d;
+      return ok;
+    });
+  }
+
+  // Yineleme, sıçrama ve titreme adımları tek geçişte; her nokta son tutulan noktayla karşılaştırılır
+  function cleanPositions(seg, opts, report) {
+    const maxMps = opts.maxSpeedKmh / 3.6;
+    const kept = [];
+    let spikes = [];         // son tutulan noktadan "sıçramış" görünen ardışık noktalar
+    let confirmed = false;   // son tutulan noktayı sonraki bir nokta doğruladı mı (ilk nokta da sıçrama olabilir)
+    let jitter = [];         // titreme adayları: son tutulan noktanın yakınında ve yavaş; karar sonraki tutulan noktada
+
+    // adaylar kararlı ilerliyorsa tutulur, yoksa atılır. Parça sonunda son aday bitiş zamanı için kalır
+    const settleJitter = atEnd => {
+      if (!jitter.length) return;
+      if (isSteady(kept[kept.length - 1], jitter)) {
+        jitter.forEach(j => kept.push(j));
+        confirmed = true;
+      } else {
+        report.jitter += jitter.length;
+        if (atEnd) { kept.push(jitter[jitter.length - 1]); report.jitter--; }
+      }
+      jitter = [];
+    };
+
+    seg.forEach(p => {
+      const last = kept[kept.length - 1];
+      if (!last) { kept.push(p); return; }
+      if (isDuplicate(last, p)) { report.duplicates++; return; }
+
+      const d = distMeters(last, p);
+      const dt = last.time != null && p.time != null ? (p.time - last.time) / 1000 : null;
+      if (dt != null && (dt <= 0 || d / dt > maxMps)) {
+        spikes.push(p);
+        if (spikes.length <= opts.maxSpikePoints) return;
+        // uzun süren "sıçrama" gerçek: doğrulanmamış son nokta asıl sıçramaydı
+        settleJitter(false);
+        if (!confirmed && kept.length === 1) { kept.pop(); report.spikes++; }
+        spikes.forEach(s => kept.push(s));
+        spikes = [];
+        return;
+      }
+      if (spikes.length) {
+        // p sıçramanın son noktasından da akla yatkın hızla geliyorsa sıçrama değil gerçek bir atlamaydı
+        // (ör. sinyal kaybından sonra); yoksa gidip dönen bir konum hatasıydı
+        const tail = spikes[spikes.length - 1];
+        const dtTail = (p.time - tail.time) / 1000;
+        if (dtTail > 0 && distMeters(tail, p) / dtTail <= maxMps) {
+          settleJitter(false);
+          spikes.forEach(s => kept.push(s));
+        } else {
+          report.spikes += spikes.length;
+        }
+        spikes = [];
+      }
+
+      if (dt != null && d < opts.jitterMeters && d / dt < opts.stopSpeedMps) {
+        jitter.push(p);
+        return;
+      }
+      settleJitter(false);
+      kept.push(p);
+      confirmed = true;
+    });
+    report.spikes += spikes.length;
+    settleJitter(true);
+    return kept;
+  }
+
+  // Kopuk ya da eksik yükseklikler iki yandaki sağlam değerden mesafeye göre ara değerlenir
+  function cleanElevations(points, opts, report) {
+    const cum = [0];
+    for (let i = 1; i < points.length; i++) cum.push(cum[i - 1] + distMeters(points[i - 1], points[i]));
+    if (!points.some(p => Number.isFinite(p.ele))) return;
+
+    const bad = [];
+    let lastValid = -1, confirmed = false, suspects = [];
+    points.forEach((p, i) => {
+      if (!Number.isFinite(p.ele)) { bad.push(i); return; }
+      if (lastValid >= 0) {
+        const limit = opts.eleToleranceMeters + opts.maxGradePercent / 100 * (cum[i] - cum[lastValid]);
+        if (Math.abs(p.ele - points[lastValid].ele) > limit) {
+          suspects.push(i);
+          if (suspects.length <= opts.maxSpikePoints) return;
+          // seviye gerçekten değişti (ör. barometre yeniden ayarlandı); doğrulanmamış ilk değer kopukluktu
+          if (!confirmed) bad.push(lastValid);
+          lastValid = suspects[suspects.length - 1];
+          confirmed = true;
+          suspects = [];
+          return;
+        }
+        confirmed = true;
+      }
+      bad.push(...suspects);
+      suspects = [];
+      lastValid = i;
+    });
+    bad.push(...suspects);
+
+    const isBad = new Set(bad);
+    bad.forEach(i => {
+      let a = i - 1, b = i + 1;
+      while (a >= 0 && isBad.has(a)) a--;
+      while (b < points.length && isBad.has(b)) b++;
+      const pa = a >= 0 ? points[a] : null, pb = b < points.length ? points[b] : null;
+      const f = pa && pb && cum[b] > cum[a] ? (cum[i] - cum[a]) / (cum[b] - cum[a]) : 0;
+      points[i].ele = pa && pb ? pa.ele + (pb.ele - pa.ele) * f : (pa || pb).ele;
+    });
+    report.elevation += bad.length;
+  }
+
+  /**
+   * Clean track segments
+   *
+   * @param  {Array<Array<Object>>} segments - [[{lat, lng, ele, time}]]
+   * @param  {Object} options - Cleanup options (see DEFAULTS)
+   *
+   * @return {Object} { segments, report } — report: removed/repaired point counts and before/after distance and ascent (m)
+   */
+  function clean(segments, options) {
+    const opts = Object.assign({}, DEFAULTS, options);
+    const report = {
+      duplicates: 0,
+      spikes: 0,
+      jitter: 0,
+      elevation: 0,
+      distanceBefore: 0,
+      distanceAfter: 0,
+      ascentBefore: 0,
+      ascentAfter: 0
+    };
+    const out = segments.map(seg => {
+      report.distanceBefore += pathMeters(seg);
+      report.ascentBefore += ascentMeters(seg.filter(p => Number.isFinite(p.ele)));
+      const points = cleanPositions(seg, opts, report).map(p => Object.assign({}, p));
+      cleanElevations(points, opts, report);
+      report.distanceAfter += pathMeters(points);
+      report.ascentAfter += ascentMeters(points.filter(p => Number.isFinite(p.ele)));
+      return points;
+    });
+    return { segments: out, report };
+  }
+
+  global.gpsCleanup = {
+    DEFAULTS,
+    clean
+  };
+})(window);
@@ -127,6 +127,7 @@ gpxParser.prototype.parse = function (gpxstring) {
         route.elevation = keepThis.calcElevation(routepoints);
         route.slopes    = keepThis.calculSlope(routepoints, route.distance.cumul);
         route.points    = routepoints;
+        route.segments  = [routepoints];
 
         keepThis.routes.push(route);
     }
@@ -155,25 +156,38 @@ gpxParser.prototype.parse = function (gpxstring) {
         track.link = link;
 
         let trackpoints = [];
-        let trkpts = [].slice.call(trk.querySelectorAll('trkpt'));
-	    for (let idxIn in trkpts){
-            var trkpt = trkpts[idxIn];
-            let pt = {};
-            pt.lat = parseFloat(trkpt.getAttribute("lat"));
-            pt.lon = parseFloat(trkpt.getAttribute("lon"));
-
-            let floatValue = parseFloat(keepThis.getElementValue(trkpt, "ele")); 
-            pt.ele = isNaN(floatValue) ? null : floatValue;
+        let segments    = [];
+        let trksegs = [].slice.call(trk.querySelectorAll('trkseg'));
+        if(trksegs.length == 0){
+            trksegs = [trk];
+        }
+        for (let idxSeg in trksegs){
+            let segmentpoints = [];
+            let trkpts = [].slice.call(trksegs[idxSeg].querySelectorAll('trkpt'));
+            for (let idxIn in trkpts){
+                var trkpt = trkpts[idxIn];
+                let pt = {};
+                pt.lat = parseFloat(trkpt.getAttribute("lat"));
+                pt.lon = parseFloat(trkpt.getAttribute("lon"));
 
-            let time = keepThis.getElementValue(trkpt, "time");
-            pt.time = time == null ? null : new Date(time);
+                let floatValue = parseFloat(keepThis.getElementValue(trkpt, "ele")); 
+                pt.ele = isNaN(floatValue) ? null : floatValue;
 
-            trackpoints.push(pt);
+                let time = keepThis.getElementValue(trkpt, "time");
+                pt.time = time == null ? null : new Date(time);
+
+                Object.assign(pt, keepThis.getPointExtensions(trkpt));
+
+                segmentpoints.push(pt);
+                trackpoints.push(pt);
+            }
+            segments.push(segmentpoints);
         }
         track.distance  = keepThis.calculDistance(trackpoints);
         track.elevation = keepThis.calcElevation(trackpoints);
         track.slopes    = keepThis.calculSlope(trackpoints, track.distance.cumul);
         track.points    = trackpoints;
+        track.segments  = segments;
 
         keepThis.tracks.push(track);
     }
@@ -196,6 +210,39 @@ gpxParser.prototype.getElementValue = function(parent, needle){
 };
 
 
+/**
+ * Read sensor values from a point's <extensions> element: Garmin TrackPointExtension
+ * (v1/v2: hr, cad, atemp), Garmin PowerExtension (PowerInWatts) and the plain <power>
+ * written by Strava and others. Namespace prefixes are ignored.
+ *
+ * @param  {Element} pointElem - trkpt DOM Element
+ *
+ * @return {Object} { hr, cad, atemp, power } — null where missing
+ */
+gpxParser.prototype.getPointExtensions = function(pointElem) {
+    let values = { hr: null, cad: null, atemp: null, power: null };
+    let names  = {
+        hr: 'hr', heartrate: 'hr',
+        cad: 'cad', cadence: 'cad',
+        atemp: 'atemp', temp: 'atemp',
+        power: 'power', powerinwatts: 'power', watts: 'power'
+    };
+    let extensions = pointElem.getElementsByTagName('extensions')[0];
+    if (extensions == null) {
+        return values;
+    }
+    let elems = extensions.getElementsByTagName('*');
+    for (let idx = 0; idx < elems.length; idx++) {
+        let key = names[(elems[idx].localName || '').toLowerCase()];
+        if (key == null || values[key] != null) {
+            continue;
+        }
+        let floatValue = parseFloat(elems[idx].textContent);
+        values[key] = isNaN(floatValue) ? null : floatValue;
+    }
+    return values;
+};
+
 /**
  * Search the value of a direct child XML DOM element
  * 
@@ -459,6 +506,106 @@ gpxParser.prototype.toGeoJSON = function () {
     return GeoJSON;
 };
 
+/**
+ * Export the GPX object to a GPX 1.1 formatted string
+ * 
+ * Tracks are written with one <trkseg> per entry of track.segments
+ * (or a single segment from track.points when segments are missing)
+ * 
+ * @returns {string} a GPX formatted String
+ */
+gpxParser.prototype.toGPX = function () {
+    let escapeXml = function (value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    };
+
+    let element = function (name, value) {
+        if (value == null || value === '') {
+            return '';
+        }
+        return '<' + name + '>' + escapeXml(value) + '</' + name + '>';
+    };
+
+    let timeValue = function (time) {
+        if (time == null) {
+            return null;
+        }
+        let date = time instanceof Date ? time : new Date(time);
+        return isNaN(date) ? null : date.toISOString();
+    };
+
+    let pointXml = function (tag, pt) {
+        let xml = '<' + tag + ' lat="' + pt.lat + '" lon="' + pt.lon + '">';
+        if (pt.ele != null && !isNaN(pt.ele)) {
+            xml += '<ele>' + pt.ele + '</ele>';
+        }
+        xml += element('time', timeValue(pt.time));
+        xml += element('name', pt.name);
+        xml += element('cmt', pt.cmt);
+        xml += element('desc', pt.desc);
+        xml += element('sym', pt.sym);
+        let tpx = element('gpxtpx:atemp', pt.atemp) + element('gpxtpx:hr', pt.hr) + element('gpxtpx:cad', pt.cad);
+        let power = element('pwr:PowerInWatts', pt.power);
+        if (tpx !== '' || power !== '') {
+            xml += '<extensions>' + power
+                 + (tpx !== '' ? '<gpxtpx:TrackPointExtension>' + tpx + '</gpxtpx:TrackPointExtension>' : '')
+                 + '</extensions>';
+        }
+        return xml + '</' + tag + '>';
+    };
+
+    let headerXml = function (item) {
+        return element('name', item.name) + element('cmt', item.cmt) + element('desc', item.desc)
+             + element('src', item.src) + element('number', item.number) + element('type', item.type);
+    };
+
+    let lines = [];
+    lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+    lines.push('<gpx version="1.1" creator="gpxParser" xmlns="http://www.topografix.com/GPX/1/1"'
+             + ' xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1"'
+             + ' xmlns:pwr="http://www.garmin.com/xmlschemas/PowerExtension/v1">');
+
+    let metadata = element('name', this.metadata.name) + element('desc', this.metadata.desc)
+                 + element('time', timeValue(this.metadata.time));
+    if (metadata !== '') {
+        lines.push('<metadata>' + metadata + '</metadata>');
+    }
+
+    for (let idx in this.waypoints) {
+        lines.push(pointXml('wpt', this.waypoints[idx]));
+    }
+
+    for (let idx in this.routes) {
+        let route = this.routes[idx];
+        let xml = '<rte>' + headerXml(route);
+        for (let idxPt in route.points) {
+            xml += pointXml('rtept', route.points[idxPt]);
+        }
+        lines.push(xml + '</rte>');
+    }
+
+    for (let idx in this.tracks) {
+        let track = this.tracks[idx];
+        let segments = track.segments && track.segments.length ? track.segments : [track.points || []];
+        let xml = '<trk>' + headerXml(track);
+        for (let idxSeg in segments) {
+            xml += '<trkseg>';
+            for (let idxPt in segments[idxSeg]) {
+                xml += pointXml('trkpt', segments[idxSeg][idxPt]);
+            }
+            xml += '</trkseg>';
+        }
+        lines.push(xml + '</trk>');
+    }
+
+    lines.push('</gpx>');
+    return lines.join('\n');
+};
+
 if(typeof module !== 'undefined'){
     require('jsdom-global')();
     module.exports = gpxParser;
@@ -0,0 +1,572 @@
+/**
+ * i18n -- UI string catalog (tr/en) and unit systems (metric/imperial)
+ *
+ * Metinler anahtar ile alınır: t('tracks.count', { n: 3 }). {ad} yer tutucuları params'tan
+ * doldurulur; değer { one, other } ise params.n'ye göre tekil/çoğul seçilir. Eksik çeviri
+ * Türkçeye, o da yoksa anahtarın kendisine düşer.
+ * Statik HTML'de data-i18n (metin), data-i18n-title ve data-i18n-placeholder kullanılır.
+ *
+ * Hesaplar hep metrik (km, m, km/sa) yapılır; birim sistemi yalnız gösterimi çevirir.
+ * Dil ve birim kullanıcı tercihidir: localStorage'da tutulur, kayıtlara/paylaşımlara girmez.
+ */
+(function (global) {
+  'use strict';
+
+  const STORAGE_KEY = 'gpx-comparator.prefs';
+  const KM_PER_MILE = 1.609344;
+  const FEET_PER_METER = 3.28084;
+
+  const LOCALES = { tr: 'tr-TR', en: 'en-US' };
+
+  const UNIT_SYSTEMS = {
+    metric:   { perKm: 1, distUnit: 'km', perMeter: 1, shortUnit: 'm', speedKey: 'unit.kmh', paceKey: 'unit.minPerKm', tempUnit: '°C' },
+    imperial: { perKm: 1 / KM_PER_MILE, distUnit: 'mi', perMeter: FEET_PER_METER, shortUnit: 'ft', speedKey: 'unit.mph', paceKey: 'unit.minPerMi', tempUnit: '°F' }
+  };
+
+  const STRINGS = {
+    tr: {
+      'app.docTitle': 'Gelişmiş GPX Karşılaştırıcı',
+      'app.title': 'GPX Karşılaştırıcı',
+      'app.subtitle': 'Harita üzerinde istediğiniz sayıda rotayı (GPX, TCX, KML, GeoJSON, FIT) karşılaştırın.',
+      'prefs.language': 'Dil',
+      'prefs.units': 'Birimler',
+      'units.metric': 'Metrik (km, m)',
+      'units.imperial': 'İngiliz (mi, ft)',
+
+      'unit.kmh': 'km/sa',
+      'unit.mph': 'mil/sa',
+      'unit.minPerKm': 'dk/km',
+      'unit.minPerMi': 'dk/mi',
+      'unit.bpm': 'atım/dk',
+      'unit.rpm': 'dev/dk',
+      'unit.watt': 'W',
+      'format.percent': '%{v}',
+
+      'tracks.heading': 'Rotaları Yönet',
+      'drop.hint': 'Dosyaları ya da bir klasörü buraya veya haritaya sürükleyin',
+      'drop.files': '＋ Dosya Seç',
+      'drop.folder': 'Klasör Seç',
+      'tracks.showAll': 'Tümünü göster',
+      'tracks.count': '{n} rota',
+      'tracks.visibleCount': ' · {n} görünür',
+      'tracks.waypointsTitle': 'Yol noktalarını haritada göster',
+      'tracks.waypointCount': '{n} nokta',
+      'tracks.toggle': 'Göster / gizle',
+      'tracks.solo': 'Yalnız bunu göster',
+      'tracks.up': 'Yukarı taşı',
+      'tracks.down': 'Aşağı taşı',
+      'tracks.remove': 'Rotayı kaldır',
+      'tracks.defaultName': 'Rota {n}',
+      'display.label': 'Ortak kısımlar:',
+      'display.overlap': 'Sarı bant ile göster',
+      'display.offset': 'Rotaları yan yana çiz',
+      'color.label': 'Renklendirme:',
+      'color.track': 'Her rota kendi renginde',
+      'color.grade': 'Eğime göre',
+
+      'settings.threshold': 'Eşik',
+      'settings.thresholdTitle': 'Bir rota diğerine bu mesafeden yakınsa ortak sayılır',
+      'settings.exitMargin': 'Çıkış payı',
+      'settings.exitMarginTitle': 'Ortak kısımdan çıkmak için eşiğin bu kadar ötesine geçmek gerekir (GPS titremesi parçalamasın)',
+      'settings.step': 'Örnekleme',
+      'settings.stepTitle': 'Rotalar bu aralıkla örneklenir; küçük değer daha hassas ama daha yavaş',
+      'settings.minSegment': 'En kısa parça',
+      'settings.minSegmentTitle': 'Bundan kısa ortak parçalar yok sayılır',
+      'settings.reset': 'Varsayılanlar',
+
+      'load.failed': 'Şu dosyalar okunamadı: {files}\nDesteklenen biçimler: GPX, TCX, KML, GeoJSON, FIT.',
+      'load.unsupported': 'Desteklenen dosya bulunamadı. Desteklenen biçimler: GPX, TCX, KML, GeoJSON, FIT.',
+      'chooser.prompt': '{file} içinde birden çok iz/rota var. Yüklenecekleri seçin:',
+      'chooser.track': 'İz',
+      'chooser.route': 'Rota',
+      'chooser.parts': ', {n} parça',
+      'chooser.skip': 'Atla',
+      'chooser.load': 'Yükle',
+
+      'chart.distance': 'Mesafe ({unit})',
+      'chart.distanceAlong': '{name} üzerinde mesafe ({unit})',
+      'chart.elevation': 'Yükseklik ({unit})',
+      'chart.speed': 'Hız ({unit})',
+      'chart.pace': 'Tempo ({unit})',
+      'chart.hr': 'Nabız ({unit})',
+      'chart.cad': 'Kadans ({unit})',
+      'chart.power': 'Güç ({unit})',
+      'chart.atemp': 'Sıcaklık ({unit})',
+
+      'stats.heading': 'Karşılaştırma Sonuçları',
+      'stats.progress': 'Karşılaştırılıyor… {pct}',
+      'stats.cancel': 'İptal',
+      'stats.cancelled': 'Karşılaştırma iptal edildi.',
+      'stats.retry': 'Yeniden hesapla',
+      'overlap.shared': 'Ortak Mesafe',
+      'overlap.sharedAll': 'Tüm Rotaların Ortak Mesafesi',
+      'overlap.unique': '{name} Farkı',
+      'overlap.allShared': 'Hepsinde ortak',
+      'kind.same': 'Aynı yön',
+      'kind.opposite': 'Ters yön',
+      'kind.crossing': 'Kesişme',
+      'divergence.heading': 'Ayrışan kısımlar',
+      'divergence.none': 'Ayrışma yok: rotalar aynı yoldan gidiyor.',
+      'divergence.track': 'Sapan rota',
+      'divergence.length': 'Uzunluk',
+
+      'export.heading': 'Dışa aktar',
+      'export.sharedGpx': 'Ortak · GPX',
+      'export.sharedGeojson': 'Ortak · GeoJSON',
+      'export.uniqueGpx': 'Farklı · GPX',
+      'export.uniqueGeojson': 'Farklı · GeoJSON',
+      'export.comparisonGeojson': 'Karşılaştırma · GeoJSON',
+      'export.sharedFile': 'ortak-kisim',
+      'export.uniqueFile': 'farkli-kisimlar',
+      'export.comparisonFile': 'karsilastirma',
+      'export.sharedTitle': 'Ortak kısım: {label}',
+      'export.sharedName': 'Ortak: {label}',
+      'export.uniqueTitle': 'Farklı kısımlar: {label}',
+      'export.uniqueName': '{name} (yalnız bu rota)',
+      'export.failed': 'Dışa aktarma sırasında bir hata oluştu.',
+
+      'elevation.heading': 'Yükseklik Profili',
+      'elevation.filterTitle': 'Tırmanış/iniş, yumuşatılmış profilde yalnızca eşiği aşan değişimler toplanarak hesaplanır',
+      'elevation.smooth': 'Yumuşatma',
+      'elevation.hysteresis': 'Eşik',
+      'elevation.alignTitle': 'Profilleri bir rotanın mesafe eksenine hizala; ortak olmayan kısımlar boşluk kalır',
+      'elevation.alignOwn': 'Her rota kendi mesafesinde',
+      'elevation.alignTo': '{name} rotasına hizala',
+      'elevation.none': 'Yükseklik bilgisi yok',
+      'elevation.gain': 'Toplam tırmanış',
+      'elevation.loss': 'Toplam iniş',
+      'elevation.raw': '(ham {v})',
+      'elevation.minMax': 'En düşük / en yüksek',
+      'elevation.avg': 'Ortalama yükseklik',
+
+      'grade.legend': 'Eğim',
+      'grade.histogram': 'Eğim dağılımı',
+      'grade.descent': 'İniş (%−3 altı)',
+      'grade.flat': 'Düz (%−3 – %3)',
+      'grade.moderate': '%3 – %6',
+      'grade.steep': '%6 – %10',
+      'grade.verySteep': '%10 üstü',
+
+      'speed.heading': 'Hız, Tempo ve Sensörler',
+      'time.none': 'Zaman bilgisi yok',
+      'time.elapsed': 'Toplam süre',
+      'time.moving': 'Hareket süresi',
+      'time.avgSpeed': 'Ortalama hız',
+      'time.maxSpeed': 'Maks. hız',
+      'time.avgPace': 'Ortalama tempo',
+      'sensor.hr': 'Nabız (ort. / maks.)',
+      'sensor.cad': 'Kadans (ort. / maks.)',
+      'sensor.power': 'Güç (ort. / maks.)',
+      'sensor.atemp': 'Sıcaklık (ort. / maks.)',
+
+      'replay.heading': 'Tekrar Oynatma',
+      'replay.playTitle': 'Oynat / Duraklat',
+      'replay.alignAbsolute': 'Saat zamanına göre',
+      'replay.alignStart': 'Başlangıçlara göre (hayalet yarış)',
+      'replay.leader': 'Lider',
+      'replay.notStarted': ' (başlamadı)',
+      'replay.finished': ' (bitirdi)',
+
+      'similarity.heading': 'Benzerlik: {name}',
+      'similarity.hint': 'Fréchet mesafesine göre sıralı; referans, yükseklik profilinin hizalandığı rotadır',
+      'similarity.rank': 'Sıra',
+      'similarity.track': 'Rota',
+      'similarity.frechet': 'Fréchet',
+      'similarity.hausdorff': 'Hausdorff',
+      'similarity.meanDeviation': 'Ort. sapma',
+      'similarity.maxDeviation': 'En büyük sapma',
+      'similarity.shared': 'Ortak',
+      'climb.heading': 'Tırmanışlar',
+      'climb.toggle': 'Haritada ve grafikte vurgula',
+      'climb.toggleTitle': 'Tırmanışlar haritada ve yükseklik grafiğinde kategori renginde gösterilir',
+      'climb.none': 'Kategoriye giren tırmanış yok',
+      'climb.number': 'No',
+      'climb.range': 'Başlangıç – bitiş',
+      'climb.length': 'Uzunluk',
+      'climb.gain': 'Tırmanış',
+      'climb.avgGrade': 'Ort. eğim',
+      'climb.maxGrade': 'En dik',
+      'climb.category': 'Kategori',
+      'climb.shared': 'Aynı yokuş',
+      'climb.cat.hc': 'HC',
+      'climb.cat.1': '1',
+      'climb.cat.2': '2',
+      'climb.cat.3': '3',
+      'climb.cat.4': '4',
+      'cleanup.heading': 'GPS Temizliği',
+      'cleanup.toggle': 'Temizlenmiş veriyi kullan',
+      'cleanup.toggleTitle': 'Kapatılırsa mesafe, tırmanış ve karşılaştırma ham noktalarla hesaplanır',
+      'cleanup.track': 'Rota',
+      'cleanup.duplicates': 'Yinelenen',
+      'cleanup.spikes': 'Sıçrama',
+      'cleanup.jitter': 'Durma titremesi',
+      'cleanup.elevation': 'Yükseklik onarımı',
+      'cleanup.distance': 'Mesafe (ham → temiz)',
+      'cleanup.ascent': 'Tırmanış (ham → temiz)',
+      'cleanup.rawFallback': 'Temizlik sonrası nokta kalmadı; ham veri kullanılıyor',
+
+      'waypoints.heading': 'Yol Noktaları',
+      'waypoints.radius': 'Yakınlık',
+      'waypoints.point': 'Nokta',
+      'waypoints.default': 'Yol noktası',
+      'waypoints.elevation': 'Yükseklik: {v}',
+      'waypoints.nearest': 'En yakın: {v}',
+
+      'sessions.heading': 'Kayıtlı Karşılaştırmalar',
+      'sessions.namePlaceholder': 'Karşılaştırma adı',
+      'sessions.save': 'Kaydet',
+      'sessions.empty': 'Henüz kayıtlı karşılaştırma yok.',
+      'sessions.trackCount': '{n} rota',
+      'sessions.open': 'Aç',
+      'sessions.delete': 'Sil',
+      'sessions.deleteTitle': 'Kaydı sil',
+      'sessions.nothingToSave': 'Kaydedilecek rota yok.',
+      'sessions.saveFailed': 'Karşılaştırma kaydedilemedi.',
+      'sessions.confirmDelete': '"{name}" silinsin mi?',
+      'sessions.confirmOpen': 'Yüklü rotalar kapatılıp "{name}" açılsın mı?',
+      'sessions.openFailed': 'Karşılaştırma açılamadı.',
+
+      'share.heading': 'Paylaş',
+      'share.create': 'Bağlantı oluştur',
+      'share.createTitle': 'Rotalar, harita görünümü ve ayarlar bağlantının içine yazılır; sunucuya bir şey gönderilmez',
+      'share.simplified': 'Rotalar ±{v} hassasiyetle sadeleştirildi.',
+      'share.noTime': 'Zaman bilgisi sığmadı; hız grafiği ve tekrar oynatma boş açılır.',
+      'share.noElevation': 'Yükseklik verisi sığmadı; yükseklik profili boş açılır.',
+      'share.tooLarge': 'Rotalar bağlantıya sığmadı: yalnız harita görünümü ve ayarlar paylaşıldı. Rotaları dosya olarak gönderin.',
+      'share.length': '{n} karakter',
+      'share.copied': 'Panoya kopyalandı.',
+      'share.createFailed': 'Paylaşım bağlantısı oluşturulamadı.',
+      'share.confirmOpen': 'Yüklü rotalar kapatılıp paylaşılan karşılaştırma açılsın mı?',
+      'share.openFailed': 'Paylaşılan bağlantı açılamadı.'
+    },
+
+    en: {
+      'app.docTitle': 'Advanced GPX Comparator',
+      'app.title': 'GPX Comparator',
+      'app.subtitle': 'Compare any number of tracks (GPX, TCX, KML, GeoJSON, FIT) on the map.',
+      'prefs.language': 'Language',
+      'prefs.units': 'Units',
+      'units.metric': 'Metric (km, m)',
+      'units.imperial': 'Imperial (mi, ft)',
+
+      'unit.kmh': 'km/h',
+      'unit.mph': 'mph',
+      'unit.minPerKm': 'min/km',
+      'unit.minPerMi': 'min/mi',
+      'unit.bpm': 'bpm',
+      'unit.rpm': 'rpm',
+      'unit.watt': 'W',
+      'format.percent': '{v}%',
+
+      'tracks.heading': 'Manage Tracks',
+      'drop.hint': 'Drag files or a folder here or onto the map',
+      'drop.files': '＋ Choose Files',
+      'drop.folder': 'Choose Folder',
+      'tracks.showAll': 'Show all',
+      'tracks.count': { one: '{n} track', other: '{n} tracks' },
+      'tracks.visibleCount': ' · {n} visible',
+      'tracks.waypointsTitle': 'Show waypoints on the map',
+      'tracks.waypointCount': { one: '{n} point', other: '{n} points' },
+      'tracks.toggle': 'Show / hide',
+      'tracks.solo': 'Show only this one',
+      'tracks.up': 'Move up',
+      'tracks.down': 'Move down',
+      'tracks.remove': 'Remove track',
+      'tracks.defaultName': 'Track {n}',
+      'display.label': 'Shared sections:',
+      'display.overlap': 'Highlight in yellow',
+      'display.offset': 'Draw tracks side by side',
+      'color.label': 'Coloring:',
+      'color.track': 'One color per track',
+      'color.grade': 'By grade',
+
+      'settings.threshold': 'Threshold',
+      'settings.thresholdTitle': 'A track closer than this to another counts as shared',
+      'settings.exitMargin': 'Exit margin',
+      'settings.exitMarginTitle': 'Leaving a shared section requires going this far beyond the threshold (so GPS jitter does not split it)',
+      'settings.step': 'Sampling',
+      'settings.stepTitle': 'Tracks are sampled at this interval; smaller is more precise but slower',
+      'settings.minSegment': 'Shortest section',
+      'settings.minSegmentTitle': 'Shared sections shorter than this are ignored',
+      'settings.reset': 'Defaults',
+
+      'load.failed': 'These files could not be read: {files}\nSupported formats: GPX, TCX, KML, GeoJSON, FIT.',
+      'load.unsupported': 'No supported file found. Supported formats: GPX, TCX, KML, GeoJSON, FIT.',
+      'chooser.prompt': '{file} contains several tracks/routes. Choose which to load:',
+      'chooser.track': 'Track',
+      'chooser.route': 'Route',
+      'chooser.parts': ', {n} segments',
+      'chooser.skip': 'Skip',
+      'chooser.load': 'Load',
+
+      'chart.distance': 'Distance ({unit})',
+      'chart.distanceAlong': 'Distance along {name} ({unit})',
+      'chart.elevation': 'Elevation ({unit})',
+      'chart.speed': 'Speed ({unit})',
+      'chart.pace': 'Pace ({unit})',
+      'chart.hr': 'Heart rate ({unit})',
+      'chart.cad': 'Cadence ({unit})',
+      'chart.power': 'Power ({unit})',
+      'chart.atemp': 'Temperature ({unit})',
+
+      'stats.heading': 'Comparison Results',
+      'stats.progress': 'Comparing… {pct}',
+      'stats.cancel': 'Cancel',
+      'stats.cancelled': 'Comparison cancelled.',
+      'stats.retry': 'Recalculate',
+      'overlap.shared': 'Shared Distance',
+      'overlap.sharedAll': 'Shared by All Tracks',
+      'overlap.unique': '{name} only',
+      'overlap.allShared': 'Shared by all',
+      'kind.same': 'Same direction',
+      'kind.opposite': 'Opposite direction',
+      'kind.crossing': 'Crossing',
+      'divergence.heading': 'Divergent sections',
+      'divergence.none': 'No divergence: the tracks follow the same path.',
+      'divergence.track': 'Diverging track',
+      'divergence.length': 'Length',
+
+      'export.heading': 'Export',
+      'export.sharedGpx': 'Shared · GPX',
+      'export.sharedGeojson': 'Shared · GeoJSON',
+      'export.uniqueGpx': 'Different · GPX',
+      'export.uniqueGeojson': 'Different · GeoJSON',
+      'export.comparisonGeojson': 'Comparison · GeoJSON',
+      'export.sharedFile': 'shared-section',
+      'export.uniqueFile': 'different-sections',
+      'export.comparisonFile': 'comparison',
+      'export.sharedTitle': 'Shared section: {label}',
+      'export.sharedName': 'Shared: {label}',
+      'export.uniqueTitle': 'Different sections: {label}',
+      'export.uniqueName': '{name} (this track only)',
+      'export.failed': 'An error occurred while exporting.',
+
+      'elevation.heading': 'Elevation Profile',
+      'elevation.filterTitle': 'Ascent/descent sums only the changes in the smoothed profile that exceed the threshold',
+      'elevation.smooth': 'Smoothing',
+      'elevation.hysteresis': 'Threshold',
+      'elevation.alignTitle': 'Align the profiles to the distance axis of one track; parts off that track are left as gaps',
+      'elevation.alignOwn': 'Each track on its own distance',
+      'elevation.alignTo': 'Align to {name}',
+      'elevation.none': 'No elevation data',
+      'elevation.gain': 'Total ascent',
+      'elevation.loss': 'Total descent',
+      'elevation.raw': '(raw {v})',
+      'elevation.minMax': 'Lowest / highest',
+      'elevation.avg': 'Average elevation',
+
+      'grade.legend': 'Grade',
+      'grade.histogram': 'Distance by grade',
+      'grade.descent': 'Descent (below −3%)',
+      'grade.flat': 'Flat (−3% to 3%)',
+      'grade.moderate': '3% – 6%',
+      'grade.steep': '6% – 10%',
+      'grade.verySteep': 'Above 10%',
+
+      'speed.heading': 'Speed, Pace and Sensors',
+      'time.none': 'No time data',
+      'time.elapsed': 'Elapsed time',
+      'time.moving': 'Moving time',
+      'time.avgSpeed': 'Average speed',
+      'time.maxSpeed': 'Max. speed',
+      'time.avgPace': 'Average pace',
+      'sensor.hr': 'Heart rate (avg. / max.)',
+      'sensor.cad': 'Cadence (avg. / max.)',
+      'sensor.power': 'Power (avg. / max.)',
+      'sensor.atemp': 'Temperature (avg. / max.)',
+
+      'replay.heading': 'Replay',
+      'replay.playTitle': 'Play / Pause',
+      'replay.alignAbsolute': 'By clock time',
+      'replay.alignStart': 'From each start (ghost race)',
+      'replay.leader': 'Leader',
+      'replay.notStarted': ' (not started)',
+      'replay.finished': ' (finished)',
+
+      'similarity.heading': 'Similarity to {name}',
+      'similarity.hint': 'Ranked by Fréchet distance; the reference is the track the elevation profile is aligned to',
+      'similarity.rank': 'Rank',
+      'similarity.track': 'Track',
+      'similarity.frechet': 'Fréchet',
+      'similarity.hausdorff': 'Hausdorff',
+      'similarity.meanDeviation': 'Mean deviation',
+      'similarity.maxDeviation': 'Max. deviation',
+      'similarity.shared': 'Shared',
+      'climb.heading': 'Climbs',
+      'climb.toggle': 'Highlight on map and chart',
+      'climb.toggleTitle': 'Climbs are shown on the map and the elevation profile in their category color',
+      'climb.none': 'No categorized climbs',
+      'climb.number': 'No.',
+      'climb.range': 'Start – end',
+      'climb.length': 'Length',
+      'climb.gain': 'Gain',
+      'climb.avgGrade': 'Avg. grade',
+      'climb.maxGrade': 'Max. grade',
+      'climb.category': 'Category',
+      'climb.shared': 'Same climb',
+      'climb.cat.hc': 'HC',
+      'climb.cat.1': '1',
+      'climb.cat.2': '2',
+      'climb.cat.3': '3',
+      'climb.cat.4': '4',
+      'cleanup.heading': 'GPS Cleanup',
+      'cleanup.toggle': 'Use cleaned data',
+      'cleanup.toggleTitle': 'When off, distance, ascent and the comparison use the raw points',
+      'cleanup.track': 'Track',
+      'cleanup.duplicates': 'Duplicates',
+      'cleanup.spikes': 'Spikes',
+      'cleanup.jitter': 'Stop jitter',
+      'cleanup.elevation': 'Elevation fixes',
+      'cleanup.distance': 'Distance (raw → clean)',
+      'cleanup.ascent': 'Ascent (raw → clean)',
+      'cleanup.rawFallback': 'No points left after cleanup; using the raw data',
+
+      'waypoints.heading': 'Waypoints',
+      'waypoints.radius': 'Proximity',
+      'waypoints.point': 'Point',
+      'waypoints.default': 'Waypoint',
+      'waypoints.elevation': 'Elevation: {v}',
+      'waypoints.nearest': 'Closest: {v}',
+
+      'sessions.heading': 'Saved Comparisons',
+      'sessions.namePlaceholder': 'Comparison name',
+      'sessions.save': 'Save',
+      'sessions.empty': 'No saved comparisons yet.',
+      'sessions.trackCount': { one: '{n} track', other: '{n} tracks' },
+      'sessions.open': 'Open',
+      'sessions.delete': 'Delete',
+      'sessions.deleteTitle': 'Delete saved comparison',
+      'sessions.nothingToSave': 'There are no tracks to save.',
+      'sessions.saveFailed': 'The comparison could not be saved.',
+      'sessions.confirmDelete': 'Delete "{name}"?',
+      'sessions.confirmOpen': 'Close the loaded tracks and open "{name}"?',
+      'sessions.openFailed': 'The comparison could not be opened.',
+
+      'share.heading': 'Share',
+      'share.create': 'Create link',
+      'share.createTitle': 'Tracks, map view and settings are written into the link itself; nothing is sent to a server',
+      'share.simplified': 'Tracks were simplified to ±{v}.',
+      'share.noTime': 'Time data did not fit; the speed chart and replay will open empty.',
+      'share.noElevation': 'Elevation data did not fit; the elevation profile will open empty.',
+      'share.tooLarge': 'The tracks did not fit in a link: only the map view and settings were shared. Send the tracks as files instead.',
+      'share.length': '{n} characters',
+      'share.copied': 'Copied to clipboard.',
+      'share.createFailed': 'The share link could not be created.',
+      'share.confirmOpen': 'Close the loaded tracks and open the shared comparison?',
+      'share.openFailed': 'The shared link could not be opened.'
+    }
+  };
+
+  function readPrefs() {
+    try {
+      return JSON.parse(global.localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (e) {
+      return {};  // localStorage kapalı (ör. gizli pencere) ya da bozuk kayıt
+    }
+  }
+
+  function writePrefs() {
+    try {
+      global.localStorage.setItem(STORAGE_KEY, JSON.stringify({ lang, units }));
+    } catch (e) {
+      // tercih bu oturumla sınırlı kalır
+    }
+  }
+
+  const prefs = readPrefs();
+  const browserLang = String((global.navigator && global.navigator.language) || '').slice(0, 2);
+  let lang = STRINGS[prefs.lang] ? prefs.lang : STRINGS[browserLang] ? browserLang : 'tr';
+  let units = UNIT_SYSTEMS[prefs.units] ? prefs.units : 'metric';
+
+  /**
+   * Look up a UI string
+   *
+   * @param  {string} key - Catalog key, e.g. 'tracks.count'
+   * @param  {Object} params - Placeholder values; params.n also picks { one, other }
+   *
+   * @return {string}
+   */
+  function t(key, params) {
+    let s = STRINGS[lang][key];
+    if (s == null) s = STRINGS.tr[key];
+    if (s == null) return key;
+    if (typeof s === 'object') s = params && params.n === 1 ? s.one : s.other;
+    return params ? s.replace(/\{(\w+)\}/g, (m, name) => (params[name] != null ? params[name] : m)) : s;
+  }
+
+  // data-i18n* öznitelikli öğeleri geçerli dile (data-i18n-unit: geçerli birime) çevirir
+  function applyToDom(root) {
+    root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+    root.querySelectorAll('[data-i18n-title]').forEach(el => { el.title = t(el.dataset.i18nTitle); });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+    root.querySelectorAll('[data-i18n-unit]').forEach(el => { el.textContent = unit(el.dataset.i18nUnit); });
+    if (root.documentElement) {
+      root.documentElement.lang = lang;
+      root.title = t('app.docTitle');
+    }
+  }
+
+  function setLanguage(next) {
+    if (!STRINGS[next]) return;
+    lang = next;
+    writePrefs();
+  }
+
+  function setUnits(next) {
+    if (!UNIT_SYSTEMS[next]) return;
+    units = next;
+    writePrefs();
+  }
+
+  // --- Units ---
+
+  const sys = () => UNIT_SYSTEMS[units];
+
+  // Birim etiketi: 'dist' (km/mi), 'short' (m/ft), 'temp' (°C/°F), 'speed', 'pace'
+  function unit(kind) {
+    if (kind === 'dist') return sys().distUnit;
+    if (kind === 'short') return sys().shortUnit;
+    if (kind === 'temp') return sys().tempUnit;
+    return t(kind === 'pace' ? sys().paceKey : sys().speedKey);
+  }
+
+  /**
+   * Format a distance given in km with the active unit
+   *
+   * @param  {number} km - Distance in kilometres
+   * @param  {number} digits - Decimal places (default 2)
+   *
+   * @return {string} e.g. "4.02 km" or "2.50 mi"
+   */
+  function formatKm(km, digits) {
+    if (km == null || !Number.isFinite(km)) return '–';
+    return `${(km * sys().perKm).toFixed(digits == null ? 2 : digits)} ${sys().distUnit}`;
+  }
+
+  // Kısa mesafe / yükseklik (m), tam sayıya yuvarlanmış: "120 m" ya da "394 ft"
+  function formatMeters(m) {
+    if (m == null || !Number.isFinite(m)) return '–';
+    return `${Math.round(m * sys().perMeter)} ${sys().shortUnit}`;
+  }
+
+  global.i18n = {
+    t,
+    applyToDom,
+    language: () => lang,
+    locale: () => LOCALES[lang],
+    setLanguage,
+    units: () => units,
+    setUnits,
+    unit,
+    formatKm,
+    formatMeters,
+    // gösterim biriminde sayısal değerler (grafik ekseni vb.) ve geri dönüşü
+    dist: km => km * sys().perKm,
+    toKm: v => v / sys().perKm,
+    meters: m => m * sys().perMeter,
+    toMeters: v => v / sys().perMeter,
+    speed: kmh => kmh * sys().perKm,
+    pace: minPerKm => minPerKm / sys().perKm,
+    temp: celsius => (units === 'imperial' ? celsius * 9 / 5 + 32 : celsius)
+  };
+})(window);
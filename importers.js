@@ -0,0 +1,452 @@
+/**
+ * Track importers -- TCX, KML, GeoJSON and FIT -> gpxParser-shaped objects
+ *
+ * Her biçim, app.js'in processTrack'inin beklediği modele çevrilir:
+ * { metadata, waypoints[], tracks[], routes[] }; noktalar { lat, lon, ele, time: Date|null },
+ * her iz/rota ayrıca segments[[nokta]] taşır. Dönen nesne gerçek bir gpxParser örneğidir,
+ * böylece calcDistanceBetween vb. yardımcılar her biçimde aynı çalışır.
+ */
+(function (global) {
+  'use strict';
+
+  const FIT_EPOCH_MS = Date.UTC(1989, 11, 31, 0, 0, 0);  // FIT zaman damgaları bu andan itibaren saniye
+  const SEMICIRCLE_TO_DEG = 180 / 2147483648;             // 2^31 semicircle = 180°
+
+  // --- Helpers ---
+
+  function toNumber(v) {
+    const n = parseFloat(v);
+    return Number.isFinite(n) ? n : null;
+  }
+
+  function toDate(v) {
+    if (v == null || v === '') return null;
+    const d = v instanceof Date ? v : new Date(v);
+    return isNaN(d) ? null : d;
+  }
+
+  function makePoint(lat, lon, ele, time) {
+    return { lat, lon, ele: Number.isFinite(ele) ? ele : null, time: toDate(time) };
+  }
+
+  function validPoint(p) {
+    return Number.isFinite(p.lat) && Number.isFinite(p.lon) && Math.abs(p.lat) <= 90 && Math.abs(p.lon) <= 180;
+  }
+
+  /**
+   * Build a gpxParser track/route object from point segments,
+   * computing the same distance/elevation/slopes fields as gpxParser.parse
+   *
+   * @param  {gpxParser} gpx - Target parser (used for its calc helpers)
+   * @param  {string} name - Track name
+   * @param  {Array<Array>} segments - Arrays of points with lat, lon, ele, time
+   *
+   * @return {} A track object, or null if it has no points
+   */
+  function buildTrack(gpx, name, segments) {
+    const segs = segments.map(seg => seg.filter(validPoint)).filter(seg => seg.length);
+    const points = [].concat(...segs);
+    if (!points.length) return null;
+
+    const distance = gpx.calculDistance(points);
+    return {
+      name: name || null,
+      cmt: null, desc: null, src: null, number: null, type: null, link: {},
+      distance,
+      elevation: gpx.calcElevation(points),
+      slopes: gpx.calculSlope(points, distance.cumul),
+      points,
+      segments: segs
+    };
+  }
+
+  function makeWaypoint(name, lat, lon, ele, desc, sym, time) {
+    return { name: name || null, sym: sym || null, lat, lon, ele: Number.isFinite(ele) ? ele : null, cmt: null, desc: desc || null, time: toDate(time) };
+  }
+
+  function parseXml(text) {
+    const doc = new window.DOMParser().parseFromString(text, 'text/xml');
+    if (doc.getElementsByTagName('parsererror').length) throw new Error('Geçersiz XML');
+    return doc;
+  }
+
+  // Ad alanından bağımsız (gx:, ns3: ...) alt eleman araması
+  function byTag(parent, localName) {
+    return [].slice.call(parent.getElementsByTagNameNS('*', localName));
+  }
+
+  function childText(parent, localName) {
+    const el = byTag(parent, localName)[0];
+    return el ? el.textContent.trim() : null;
+  }
+
+  // --- TCX (Garmin Training Center) ---
+
+  /**
+   * Parse a TCX document: every Activity and Course becomes a track,
+   * every <Track> inside it a segment; CoursePoints become waypoints
+   *
+   * @param  {string} text - TCX XML
+   *
+   * @return {gpxParser}
+   */
+  function parseTCX(text) {
+    const doc = parseXml(text);
+    const gpx = new gpxParser();
+
+    const readTrack = trackEl => byTag(trackEl, 'Trackpoint').map(tp => makePoint(
+      toNumber(childText(tp, 'LatitudeDegrees')),
+      toNumber(childText(tp, 'LongitudeDegrees')),
+      toNumber(childText(tp, 'AltitudeMeters')),
+      childText(tp, 'Time')
+    ));
+
+    byTag(doc, 'Activity').forEach((act, i) => {
+      // Garmin'de <Id> aktivitenin başlangıç zamanıdır: "Biking 2024-05-01" gibi bir ad üret
+      const id = childText(act, 'Id');
+      const name = `${act.getAttribute('Sport') || 'Activity'} ${id ? id.substring(0, 10) : i + 1}`;
+      const track = buildTrack(gpx, name, byTag(act, 'Track').map(readTrack));
+      if (track) gpx.tracks.push(track);
+    });
+
+    byTag(doc, 'Course').forEach((course, i) => {
+      const track = buildTrack(gpx, childText(course, 'Name') || `Course ${i + 1}`, byTag(course, 'Track').map(readTrack));
+      if (track) gpx.tracks.push(track);
+
+      byTag(course, 'CoursePoint').forEach(cp => {
+        const wp = makeWaypoint(
+          childText(cp, 'Name'),
+          toNumber(childText(cp, 'LatitudeDegrees')),
+          toNumber(childText(cp, 'LongitudeDegrees')),
+          toNumber(childText(cp, 'AltitudeMeters')),
+          childText(cp, 'Notes'),
+          childText(cp, 'PointType'),
+          childText(cp, 'Time')
+        );
+        if (validPoint(wp)) gpx.waypoints.push(wp);
+      });
+    });
+
+    return gpx;
+  }
+
+  // --- KML (Google Earth) ---
+
+  function parseKmlCoordinates(text) {
+    return (text || '').trim().split(/\s+/).filter(Boolean).map(tuple => {
+      const [lon, lat, ele] = tuple.split(',').map(toNumber);
+      return makePoint(lat, lon, ele, null);
+    });
+  }
+
+  // gx:Track: <when> ve <gx:coord "lon lat ele"> aynı sırada
+  function parseGxTrack(trackEl) {
+    const whens = byTag(trackEl, 'when').map(el => el.textContent.trim());
+    return byTag(trackEl, 'coord').map((el, i) => {
+      const [lon, lat, ele] = el.textContent.trim().split(/\s+/).map(toNumber);
+      return makePoint(lat, lon, ele, whens[i]);
+    });
+  }
+
+  /**
+   * Parse a KML document: each Placemark with LineString / gx:Track geometry
+   * becomes a track (MultiGeometry / gx:MultiTrack parts become segments),
+   * Point placemarks become waypoints
+   *
+   * @param  {string} text - KML XML
+   *
+   * @return {gpxParser}
+   */
+  function parseKML(text) {
+    const doc = parseXml(text);
+    const gpx = new gpxParser();
+    gpx.metadata.name = childText(doc, 'name');
+
+    byTag(doc, 'Placemark').forEach((pm, i) => {
+      const name = [].slice.call(pm.children).find(c => c.localName === 'name');
+      const title = name ? name.textContent.trim() : null;
+
+      const segments = [];
+      byTag(pm, 'Track').forEach(tr => segments.push(parseGxTrack(tr)));
+      byTag(pm, 'LineString').forEach(ls => segments.push(parseKmlCoordinates(childText(ls, 'coordinates'))));
+
+      if (segments.length) {
+        const track = buildTrack(gpx, title || `Placemark ${i + 1}`, segments);
+        if (track) gpx.tracks.push(track);
+        return;
+      }
+
+      const point = byTag(pm, 'Point')[0];
+      if (point) {
+        const [p] = parseKmlCoordinates(childText(point, 'coordinates'));
+        if (p && validPoint(p)) gpx.waypoints.push(makeWaypoint(title, p.lat, p.lon, p.ele, childText(pm, 'description')));
+      }
+    });
+
+    return gpx;
+  }
+
+  // --- GeoJSON ---
+
+  /**
+   * Parse GeoJSON: LineString / MultiLineString features become tracks,
+   * Point features waypoints. Times are read from properties.coordTimes
+   * (togeojson convention) or properties.times when present.
+   *
+   * @param  {string} text - GeoJSON text
+   *
+   * @return {gpxParser}
+   */
+  function parseGeoJSON(text) {
+    const json = JSON.parse(text);
+    const gpx = new gpxParser();
+
+    let features = [];
+    if (json.type === 'FeatureCollection') features = json.features || [];
+    else if (json.type === 'Feature') features = [json];
+    else if (json.type) features = [{ type: 'Feature', geometry: json, properties: {} }];
+
+    const lineToPoints = (coords, times) => coords.map((c, i) => makePoint(c[1], c[0], c[2], times && times[i]));
+
+    features.forEach((f, i) => {
+      const geom = f && f.geometry;
+      if (!geom) return;
+      const props = f.properties || {};
+      const name = props.name || props.title || null;
+      const times = props.coordTimes || props.times || null;
+
+      const geoms = geom.type === 'GeometryCollection' ? geom.geometries || [] : [geom];
+      const segments = [];
+      geoms.forEach(g => {
+        if (!g) return;
+        if (g.type === 'LineString') segments.push(lineToPoints(g.coordinates, times));
+        else if (g.type === 'MultiLineString') g.coordinates.forEach((line, k) => segments.push(lineToPoints(line, times && times[k])));
+        else if (g.type === 'Point') {
+          const c = g.coordinates;
+          const wp = makeWaypoint(name, c[1], c[0], c[2], props.desc || props.description, props.sym, props.time);
+          if (validPoint(wp)) gpx.waypoints.push(wp);
+        }
+      });
+
+      if (segments.length) {
+        const track = buildTrack(gpx, name || `Feature ${i + 1}`, segments);
+        if (track) gpx.tracks.push(track);
+      }
+    });
+
+    return gpx;
+  }
+
+  // --- FIT (Garmin binary) ---
+
+  // Temel tür: [bayt, okuyucu, geçersiz değer]
+  const FIT_BASE_TYPES = {
+    0x00: [1, (v, o) => v.getUint8(o), 0xFF],         // enum
+    0x01: [1, (v, o) => v.getInt8(o), 0x7F],          // sint8
+    0x02: [1, (v, o) => v.getUint8(o), 0xFF],         // uint8
+    0x83: [2, (v, o, le) => v.getInt16(o, le), 0x7FFF],
+    0x84: [2, (v, o, le) => v.getUint16(o, le), 0xFFFF],
+    0x85: [4, (v, o, le) => v.getInt32(o, le), 0x7FFFFFFF],
+    0x86: [4, (v, o, le) => v.getUint32(o, le), 0xFFFFFFFF],
+    0x88: [4, (v, o, le) => v.getFloat32(o, le), null],
+    0x89: [8, (v, o, le) => v.getFloat64(o, le), null],
+    0x0A: [1, (v, o) => v.getUint8(o), 0],            // uint8z
+    0x8B: [2, (v, o, le) => v.getUint16(o, le), 0],   // uint16z
+    0x8C: [4, (v, o, le) => v.getUint32(o, le), 0],   // uint32z
+    0x0D: [1, (v, o) => v.getUint8(o), 0xFF]          // byte
+  };
+
+  const FIT_MSG = { RECORD: 20, EVENT: 21, COURSE: 31, COURSE_POINT: 32 };
+
+  function readFitString(view, offset, size) {
+    const bytes = [];
+    for (let i = 0; i < size; i++) {
+      const b = view.getUint8(offset + i);
+      if (b === 0) break;
+      bytes.push(b);
+    }
+    return new TextDecoder('utf-8').decode(new Uint8Array(bytes));
+  }
+
+  /**
+   * Decode the messages of a FIT file. Only single-value fields of the
+   * base types above (and strings) are decoded; arrays and 64-bit fields are skipped.
+   *
+   * @param  {ArrayBuffer} buffer - FIT file contents
+   *
+   * @return {Array} Messages as { num: globalMessageNumber, fields: { fieldNum: value } }
+   */
+  function decodeFitMessages(buffer) {
+    const view = new DataView(buffer);
+    if (view.byteLength < 12) throw new Error('FIT dosyası çok kısa');
+    const headerSize = view.getUint8(0);
+    const dataSize = view.getUint32(4, true);
+    if (readFitString(view, 8, 4) !== '.FIT') throw new Error('FIT imzası bulunamadı');
+
+    const end = Math.min(view.byteLength, headerSize + dataSize);
+    const definitions = {};
+    const messages = [];
+    let offset = headerSize;
+    let lastTimestamp = 0;
+
+    while (offset < end) {
+      const header = view.getUint8(offset++);
+      let localType;
+      let compressedOffset = null;
+
+      if (header & 0x80) {
+        // sıkıştırılmış zaman damgalı veri mesajı
+        localType = (header >> 5) & 0x03;
+        compressedOffset = header & 0x1F;
+      } else if (header & 0x40) {
+        // tanım mesajı
+        localType = header & 0x0F;
+        const littleEndian = view.getUint8(offset + 1) === 0;
+        const num = view.getUint16(offset + 2, littleEndian);
+        const fieldCount = view.getUint8(offset + 4);
+        offset += 5;
+        const fields = [];
+        for (let i = 0; i < fieldCount; i++, offset += 3) {
+          fields.push({ num: view.getUint8(offset), size: view.getUint8(offset + 1), type: view.getUint8(offset + 2) });
+        }
+        let devSize = 0;
+        if (header & 0x20) {
+          const devCount = view.getUint8(offset++);
+          for (let i = 0; i < devCount; i++, offset += 3) devSize += view.getUint8(offset + 1);
+        }
+        definitions[localType] = { num, littleEndian, fields, devSize };
+        continue;
+      } else {
+        localType = header & 0x0F;
+      }
+
+      const def = definitions[localType];
+      if (!def) throw new Error(`FIT: tanımsız yerel mesaj türü ${localType}`);
+
+      const values = {};
+      for (const field of def.fields) {
+        const base = FIT_BASE_TYPES[field.type];
+        if (field.type === 0x07) values[field.num] = readFitString(view, offset, field.size);
+        else if (base && field.size === base[0]) {
+          const v = base[1](view, offset, def.littleEndian);
+          if (v !== base[2] && !(base[2] === null && !Number.isFinite(v))) values[field.num] = v;
+        }
+        offset += field.size;
+      }
+      offset += def.devSize;
+
+      if (compressedOffset !== null) {
+        let ts = (lastTimestamp & ~0x1F) + compressedOffset;
+        if (compressedOffset < (lastTimestamp & 0x1F)) ts += 0x20;
+        values[253] = ts;
+      }
+      if (values[253] != null) lastTimestamp = values[253];
+
+      messages.push({ num: def.num, fields: values });
+    }
+
+    return messages;
+  }
+
+  /**
+   * Parse a FIT activity or course file: record messages become the track,
+   * timer stop events split it into segments, course points become waypoints
+   *
+   * @param  {ArrayBuffer} buffer - FIT file contents
+   * @param  {string} fileName - Used as the track name when the file has none
+   *
+   * @return {gpxParser}
+   */
+  function parseFIT(buffer, fileName) {
+    const gpx = new gpxParser();
+    const segments = [[]];
+    let name = null;
+
+    const fitTime = s => (s == null ? null : new Date(FIT_EPOCH_MS + s * 1000));
+    const deg = v => (v == null ? null : v * SEMICIRCLE_TO_DEG);
+
+    for (const msg of decodeFitMessages(buffer)) {
+      const f = msg.fields;
+      if (msg.num === FIT_MSG.RECORD) {
+        if (f[0] == null || f[1] == null) continue;
+        const alt = f[78] != null ? f[78] : f[2];  // enhanced_altitude öncelikli
+        const ele = alt != null ? alt / 5 - 500 : null;
+        segments[segments.length - 1].push(makePoint(deg(f[0]), deg(f[1]), ele, fitTime(f[253])));
+      } else if (msg.num === FIT_MSG.EVENT) {
+        // event 0 = timer; event_type 1 = stop, 4 = stop_all -> yeni parça
+        if (f[0] === 0 && (f[1] === 1 || f[1] === 4) && segments[segments.length - 1].length) segments.push([]);
+      } else if (msg.num === FIT_MSG.COURSE) {
+        if (f[5]) name = f[5];
+      } else if (msg.num === FIT_MSG.COURSE_POINT) {
+        const wp = makeWaypoint(f[6], deg(f[2]), deg(f[3]), null, null, null, fitTime(f[1]));
+        if (validPoint(wp)) gpx.waypoints.push(wp);
+      }
+    }
+
+    const track = buildTrack(gpx, name || (fileName || '').replace(/\.fit$/i, '') || 'FIT', segments);
+    if (track) gpx.tracks.push(track);
+    return gpx;
+  }
+
+  // --- Format detection ---
+
+  const EXTENSIONS = { gpx: 'gpx', tcx: 'tcx', kml: 'kml', geojson: 'geojson', json: 'geojson', fit: 'fit' };
+
+  /**
+   * Detect the file format from its content, falling back to the extension
+   *
+   * @param  {string} fileName - Original file name
+   * @param  {ArrayBuffer} buffer - File contents
+   *
+   * @return {string|null} 'gpx' | 'tcx' | 'kml' | 'geojson' | 'fit' | null
+   */
+  function detectFormat(fileName, buffer) {
+    const bytes = new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 512));
+    if (bytes.length >= 12 && String.fromCharCode(bytes[8], bytes[9], bytes[10], bytes[11]) === '.FIT') return 'fit';
+
+    const head = new TextDecoder('utf-8').decode(bytes).replace(/^\uFEFF/, '').trimStart();
+    if (head.startsWith('{')) return 'geojson';
+    if (/<gpx[\s>]/.test(head)) return 'gpx';
+    if (/<TrainingCenterDatabase[\s>]/.test(head)) return 'tcx';
+    if (/<kml[\s>]/.test(head)) return 'kml';
+
+    const ext = (fileName || '').split('.').pop().toLowerCase();
+    return EXTENSIONS[ext] || null;
+  }
+
+  /**
+   * Read a File of any supported format into a gpxParser object
+   *
+   * @param  {File} file - Selected or dropped file
+   *
+   * @return {Promise<gpxParser>}
+   */
+  async function parseFile(file) {
+    const buffer = await file.arrayBuffer();
+    const format = detectFormat(file.name, buffer);
+    if (format === 'fit') return parseFIT(buffer, file.name);
+
+    const text = new TextDecoder('utf-8').decode(buffer);
+    switch (format) {
+      case 'gpx': {
+        const gpx = new gpxParser();
+        gpx.parse(text);
+        return gpx;
+      }
+      case 'tcx': return parseTCX(text);
+      case 'kml': return parseKML(text);
+      case 'geojson': return parseGeoJSON(text);
+      default: throw new Error(`Desteklenmeyen dosya biçimi: ${file.name}`);
+    }
+  }
+
+  global.trackImport = {
+    ACCEPT: '.gpx,.tcx,.kml,.geojson,.json,.fit',
+    detectFormat,
+    parseFile,
+    parseTCX,
+    parseKML,
+    parseGeoJSON,
+    parseFIT
+  };
+})(window);
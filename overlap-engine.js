@@ -0,0 +1,584 @@
+/**
+ * Overlap engine -- grid-indexed track comparison, shared by app.js and overlap-worker.js
+ *
+ * Eski turf tabanlı algoritmanın aynısı (RESAMPLE adımıyla örnekleme, eşik + histerezis,
+ * yön sınıflandırması), ancak her örnek yalnız yakınındaki segmentlerle karşılaştırılır.
+ * Mesafe/yön/interpolasyon formülleri turf 6.5 ile birebir aynıdır (along, length,
+ * pointToLineDistance), böylece sonuçlar eski hesapla aynı kalır. Bağımlılığı yoktur;
+ * hem sayfada hem Web Worker içinde çalışır.
+ *
+ * Çizgi girdisi: { index, parts: [[[lng, lat]]], offsetsKm: [number] } -- her <trkseg> bir parça
+ */
+(function (global) {
+  'use strict';
+
+  const EARTH_RADIUS_KM = 6371.0088;   // turf ile aynı
+  const DEG = Math.PI / 180;
+  const PROGRESS_EVERY = 256;          // bu kadar örnekte bir ilerleme bildirilir
+  const SIMILARITY_MAX_SAMPLES = 1000; // benzerlik ölçüleri için rota başına en çok örnek (Fréchet n×m işlem)
+  const FRECHET_CELLS_PER_SAMPLE = 200; // ilerleme tahmini: bu kadar Fréchet hücresi ≈ bir örnek kontrolü (ölçüldü)
+
+  const DEFAULTS = {
+    thresholdMeters: 20,               // bu mesafeye girince ortak sayılır
+    exitMarginMeters: 5,               // ortak kısımdan çıkmak için eşik + bu kadar uzaklaşmak gerekir
+    stepMeters: 10,                    // örnekleme aralığı
+    minSegmentMeters: 0,               // bundan kısa ortak parçalar yok sayılır
+    headingWindowMeters: 20,
+    sameDirectionMaxDeg: 45,
+    oppositeDirectionMinDeg: 135,
+    cellMeters: 100                    // ızgara hücre boyu
+  };
+
+  // --- Geometry (turf 6.5 formülleri) ---
+
+  function haversineKm(a, b) {
+    const dLat = (b[1] - a[1]) * DEG;
+    const dLon = (b[0] - a[0]) * DEG;
+    const h = Math.pow(Math.sin(dLat / 2), 2) +
+      Math.pow(Math.sin(dLon / 2), 2) * Math.cos(a[1] * DEG) * Math.cos(b[1] * DEG);
+    return 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h)) * EARTH_RADIUS_KM;
+  }
+
+  function bearing(a, b) {
+    const lon1 = a[0] * DEG, lon2 = b[0] * DEG;
+    const lat1 = a[1] * DEG, lat2 = b[1] * DEG;
+    const y = Math.sin(lon2 - lon1) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(lon2 - lon1);
+    return Math.atan2(y, x) / DEG;
+  }
+
+  function destination(origin, distKm, bearingDeg) {
+    const lon1 = origin[0] * DEG, lat1 = origin[1] * DEG;
+    const brg = bearingDeg * DEG;
+    const r = distKm / EARTH_RADIUS_KM;
+    const lat2 = Math.asin(Math.sin(lat1) * Math.cos(r) + Math.cos(lat1) * Math.sin(r) * Math.cos(brg));
+    const lon2 = lon1 + Math.atan2(Math.sin(brg) * Math.sin(r) * Math.cos(lat1), Math.cos(r) - Math.sin(lat1) * Math.sin(lat2));
+    return [lon2 / DEG, lat2 / DEG];
+  }
+
+  function lengthKm(coords) {
+    let sum = 0;
+    for (let i = 1; i < coords.length; i++) sum += haversineKm(coords[i - 1], coords[i]);
+    return sum;
+  }
+
+  // turf.pointToLineDistance'ın segment adımı: izdüşüm derece uzayında, mesafe haversine
+  function projectOnSegment(p, a, b) {
+    const vx = b[0] - a[0], vy = b[1] - a[1];
+    const c1 = (p[0] - a[0]) * vx + (p[1] - a[1]) * vy;
+    if (c1 <= 0) return a;
+    const c2 = vx * vx + vy * vy;
+    if (c2 <= c1) return b;
+    const f = c1 / c2;
+    return [a[0] + f * vx, a[1] + f * vy];
+  }
+
+  // Düzlemsel yaklaşımla yön (derece, kuzeyden saat yönünde); aynı noktada null
+  function headingDeg(a, b) {
+    const dx = (b[0] - a[0]) * Math.cos((a[1] + b[1]) / 2 * DEG);
+    const dy = b[1] - a[1];
+    return dx || dy ? Math.atan2(dx, dy) / DEG : null;
+  }
+
+  // İki yön arasındaki fark: 0–180°
+  function headingDiff(h1, h2) {
+    const d = Math.abs(h1 - h2) % 360;
+    return d > 180 ? 360 - d : d;
+  }
+
+  // --- Spatial index ---
+
+  // Hücre anahtarı: ±2^20 hücreye kadar güvenli tamsayı
+  const cellKey = (x, y) => (x + 1048576) * 2097152 + (y + 1048576);
+
+  /**
+   * Build a uniform grid over a line's segments. Each segment is stored in
+   * every cell its bounding box touches, as a (part, vertex) pair.
+   *
+   * @param  {Array<Array>} parts - Coordinate arrays
+   * @param  {number} cellMeters - Cell size
+   *
+   * @return {} { cells: Map<number, number[]>, cellLat, cellLon }
+   */
+  function buildIndex(parts, cellMeters) {
+    let latSum = 0, count = 0;
+    parts.forEach(coords => coords.forEach(c => { latSum += c[1]; count++; }));
+    const meanLat = count ? latSum / count : 0;
+    const cellLat = cellMeters / 110540;
+    const cellLon = cellMeters / (111320 * Math.max(0.01, Math.cos(meanLat * DEG)));
+    const cells = new Map();
+
+    parts.forEach((coords, k) => {
+      for (let i = 0; i < coords.length - 1; i++) {
+        const a = coords[i], b = coords[i + 1];
+        const x0 = Math.floor(Math.min(a[0], b[0]) / cellLon), x1 = Math.floor(Math.max(a[0], b[0]) / cellLon);
+        const y0 = Math.floor(Math.min(a[1], b[1]) / cellLat), y1 = Math.floor(Math.max(a[1], b[1]) / cellLat);
+        for (let x = x0; x <= x1; x++) {
+          for (let y = y0; y <= y1; y++) {
+            const key = cellKey(x, y);
+            let list = cells.get(key);
+            if (!list) cells.set(key, list = []);
+            list.push(k, i);
+          }
+        }
+      }
+    });
+    return { cells, cellLat, cellLon };
+  }
+
+  // radiusMeters çevresindeki hücrelerdeki her segment için visit(k, i); aynı segment birden çok kez gelebilir
+  function forEachNearbySegment(index, coord, radiusMeters, visit) {
+    // derece karşılığı bilerek geniş tutulur: 1° enlem hiçbir yerde 110 km'den kısa değil
+    const dLat = (radiusMeters * 1.05 + 1) / 110000;
+    const dLon = dLat / Math.max(0.01, Math.cos(coord[1] * DEG));
+    const x0 = Math.floor((coord[0] - dLon) / index.cellLon), x1 = Math.floor((coord[0] + dLon) / index.cellLon);
+    const y0 = Math.floor((coord[1] - dLat) / index.cellLat), y1 = Math.floor((coord[1] + dLat) / index.cellLat);
+    for (let x = x0; x <= x1; x++) {
+      for (let y = y0; y <= y1; y++) {
+        const list = index.cells.get(cellKey(x, y));
+        if (!list) continue;
+        for (let j = 0; j < list.length; j += 2) visit(list[j], list[j + 1]);
+      }
+    }
+  }
+
+  // --- Lines ---
+
+  /**
+   * Prepare tracks for comparison: per-part lengths, cumulative vertex
+   * distances and the grid index.
+   *
+   * @param  {Array} tracks - [{ index, parts, offsetsKm }]
+   * @param  {Object} options - Engine options (see DEFAULTS)
+   *
+   * @return {Object} Lines keyed by track index
+   */
+  function buildLines(tracks, options) {
+    const opts = Object.assign({}, DEFAULTS, options);
+    const lines = {};
+    tracks.forEach(t => {
+      const cumKm = t.parts.map(coords => {
+        const cum = [0];
+        for (let i = 1; i < coords.length; i++) cum.push(cum[i - 1] + haversineKm(coords[i - 1], coords[i]));
+        return cum;
+      });
+      lines[t.index] = {
+        index: t.index,
+        parts: t.parts,
+        offsetsKm: t.offsetsKm,
+        cumKm,
+        lengthKm: cumKm.reduce((sum, cum) => sum + cum[cum.length - 1], 0),
+        grid: buildIndex(t.parts, opts.cellMeters)
+      };
+    });
+    return lines;
+  }
+
+  // Çizgiye mesafe (m). maxMeters içinde segment yoksa Infinity: karşılaştırmalarda "eşiğin dışında" ile aynı
+  function distToLine(line, coord, maxMeters) {
+    let min = Infinity;
+    forEachNearbySegment(line.grid, coord, maxMeters, (k, i) => {
+      const coords = line.parts[k];
+      const d = haversineKm(coord, projectOnSegment(coord, coords[i], coords[i + 1])) * 1000;
+      if (d < min) min = d;
+    });
+    return min;
+  }
+
+  // En yakın segment: { k, i, point, dist (m) }. maxMeters içinde yoksa tüm çizgi taranır (seyrek çağrılar için);
+  // scanAll false ise taranmaz, null döner
+  function nearestOnLine(line, coord, maxMeters, scanAll = true) {
+    let best = null;
+    const visit = (k, i) => {
+      const coords = line.parts[k];
+      const point = projectOnSegment(coord, coords[i], coords[i + 1]);
+      const dist = haversineKm(coord, point) * 1000;
+      if (!best || dist < best.dist) best = { k, i, point, dist };
+    };
+    if (maxMeters != null) forEachNearbySegment(line.grid, coord, maxMeters, visit);
+    if (!best && scanAll) line.parts.forEach((coords, k) => { for (let i = 0; i < coords.length - 1; i++) visit(k, i); });
+    return best;
+  }
+
+  function kmAtNearest(line, near) {
+    return line.offsetsKm[near.k] + line.cumKm[near.k][near.i] + haversineKm(line.parts[near.k][near.i], near.point);
+  }
+
+  // Koordinata en yakın konumun çizgi üzerindeki km'si (parçalar arası boşluk hariç)
+  function kmAlongLine(line, coord) {
+    const near = nearestOnLine(line, coord, 500);
+    if (!near) return 0;
+    return kmAtNearest(line, near);
+  }
+
+  /**
+   * Project a coordinate onto a line, if it is close enough
+   *
+   * @param  {Object} line - A line from buildLines
+   * @param  {Array<number>} coord - [lng, lat]
+   * @param  {number} maxMeters - Largest accepted distance from the line
+   *
+   * @return {Object|null} { km, dist } — km along the line (gaps between parts excluded), dist in meters
+   */
+  function projectOnLine(line, coord, maxMeters) {
+    const near = nearestOnLine(line, coord, maxMeters, false);
+    if (!near || near.dist > maxMeters) return null;
+    return { km: kmAtNearest(line, near), dist: near.dist };
+  }
+
+  // turf.nearestPointOnLine'ın segment adımı: noktadan geçen dik (destination ile kurulur) segmentle derece
+  // uzayında kesiştirilir; uçlar da aday. stop, en yakın aday segmentin bitiş ucuysa true
+  function nearestOnSegment(p, a, b) {
+    const da = haversineKm(p, a), db = haversineKm(p, b);
+    let best = { point: a, dist: da, stop: false };
+    if (db < best.dist) best = { point: b, dist: db, stop: true };
+    const dir = bearing(a, b), h = Math.max(da, db);
+    const p1 = destination(p, h, dir + 90), p2 = destination(p, h, dir - 90);
+    const denom = (b[1] - a[1]) * (p2[0] - p1[0]) - (b[0] - a[0]) * (p2[1] - p1[1]);
+    if (denom !== 0) {
+      const uA = ((b[0] - a[0]) * (p1[1] - a[1]) - (b[1] - a[1]) * (p1[0] - a[0])) / denom;
+      const uB = ((p2[0] - p1[0]) * (p1[1] - a[1]) - (p2[1] - p1[1]) * (p1[0] - a[0])) / denom;
+      if (uA >= 0 && uA <= 1 && uB >= 0 && uB <= 1) {
+        const point = [p1[0] + uA * (p2[0] - p1[0]), p1[1] + uA * (p2[1] - p1[1])];
+        const dist = haversineKm(p, point);
+        if (dist < best.dist) best = { point, dist, stop: false };
+      }
+    }
+    return best;
+  }
+
+  // Çizginin koordinata en yakın yerindeki yönü; yön, o yerin ±headingWindowMeters çevresinden alınır.
+  // En yakın yer ve pencere ölçümü eski turf tabanlı sınıflandırmayla aynı (bkz. benchmark.js)
+  function headingNear(line, coord, opts) {
+    const radiusMeters = opts.thresholdMeters + opts.exitMarginMeters;
+    let best = null;
+    const visit = (k, i) => {
+      const near = nearestOnSegment(coord, line.parts[k][i], line.parts[k][i + 1]);
+      if (!best || near.dist < best.dist) best = { k, index: near.stop ? i + 1 : i, point: near.point, dist: near.dist };
+    };
+    forEachNearbySegment(line.grid, coord, radiusMeters, visit);
+    if (!best || best.dist * 1000 > radiusMeters) {
+      line.parts.forEach((coords, k) => { for (let i = 0; i < coords.length - 1; i++) visit(k, i); });
+    }
+    if (!best) return null;
+    const coords = line.parts[best.k];
+    const at = best.point;
+    const kx = 111320 * Math.cos(at[1] * DEG);
+    const far = c => Math.hypot((c[0] - at[0]) * kx, (c[1] - at[1]) * 110540) >= opts.headingWindowMeters;
+    let a = Math.min(best.index, coords.length - 2), b = a + 1;
+    while (a > 0 && !far(coords[a])) a--;
+    while (b < coords.length - 1 && !far(coords[b])) b++;
+    return headingDeg(coords[a], coords[b]);
+  }
+
+  // --- Sampling & runs ---
+
+  // turf.along'un her adımda baştan yürüdüğü çizgiyi tek geçişte örnekler (son nokta dahil): [{ coord, km }]
+  function sampleLine(coords, offsetKm, stepKm) {
+    const lenKm = lengthKm(coords);
+    const last = coords.length - 1;
+    const sampled = [];
+    let i = 0, travelled = 0;
+    for (let d = 0; d <= lenKm; d += stepKm) {
+      let coord;
+      for (;;) {
+        if (d >= travelled && i === last) { coord = coords[last]; break; }
+        if (travelled >= d) {
+          const overshot = d - travelled;
+          coord = overshot ? destination(coords[i], overshot, bearing(coords[i], coords[i - 1]) - 180) : coords[i];
+          break;
+        }
+        travelled += haversineKm(coords[i], coords[i + 1]);
+        i++;
+      }
+      sampled.push({ coord, km: offsetKm + d });
+    }
+    const tail = sampled[sampled.length - 1];
+    if (!tail || tail.coord[0] !== coords[last][0] || tail.coord[1] !== coords[last][1]) {
+      sampled.push({ coord: coords[last], km: offsetKm + lenKm });
+    }
+    return sampled;
+  }
+
+  // minSegmentMeters'tan kısa "yakın" koşuları uzak sayar: kısa ortak parça düşer,
+  // ayrışma da böyle bir parçayla ikiye bölünmez
+  function dropShortRuns(samples, states, minKm) {
+    let start = 0;
+    for (let i = 1; i <= samples.length; i++) {
+      if (i < samples.length && states[i] === states[start]) continue;
+      if (states[start] && samples[i - 1].km - samples[start].km < minKm) states.fill(false, start, i);
+      start = i;
+    }
+  }
+
+  // Örnekleri eşik + histerezise göre ortak olan / olmayan ardışık koşulara ayırır.
+  // distFn(coord) -> metre. Koşu: { coords, kms, startKm, endKm }
+  function splitRuns(line, distFn, opts, onSamples) {
+    const enterThresh = opts.thresholdMeters;
+    const exitThresh = opts.thresholdMeters + opts.exitMarginMeters;
+    const shared = [];
+    const unique = [];
+    const flush = (run, into) => {
+      if (run.length > 1) {
+        into.push({ coords: run.map(s => s.coord), kms: run.map(s => s.km), startKm: run[0].km, endKm: run[run.length - 1].km });
+      }
+    };
+
+    line.parts.forEach((coords, k) => {
+      const samples = sampleLine(coords, line.offsetsKm[k], opts.stepMeters / 1000);
+      const states = [];
+      let inside = false;
+      let pending = 0;
+      for (const sample of samples) {
+        const distM = distFn(sample.coord);
+        inside = inside ? distM <= exitThresh : distM <= enterThresh;
+        states.push(inside);
+        if (onSamples && ++pending === PROGRESS_EVERY) { onSamples(pending); pending = 0; }
+      }
+      if (onSamples && pending) onSamples(pending);
+      if (opts.minSegmentMeters > 0) dropShortRuns(samples, states, opts.minSegmentMeters / 1000);
+
+      let start = 0;
+      for (let i = 1; i <= samples.length; i++) {
+        if (i < samples.length && states[i] === states[start]) continue;
+        flush(samples.slice(start, i), states[start] ? shared : unique);
+        start = i;
+      }
+    });
+    return { shared, unique };
+  }
+
+  // Ortak koşuları yerel yön farkına göre aynı yön / ters yön / kesişme alt koşularına böler.
+  // Birden çok rotada en "kötü" sınıf geçerli: kesişme > ters yön > aynı yön.
+  // Sınır örneği iki komşu alt koşuda da yer alır, böylece toplam uzunluk değişmez.
+  function classifyRuns(runs, otherLines, opts) {
+    const w = Math.max(1, Math.round(opts.headingWindowMeters / opts.stepMeters));
+    const out = [];
+    runs.forEach(run => {
+      const n = run.coords.length;
+      const raw = run.coords.map((coord, k) => {
+        const own = headingDeg(run.coords[Math.max(0, k - w)], run.coords[Math.min(n - 1, k + w)]);
+        let kind = 'same';
+        if (own == null) return kind;
+        for (const line of otherLines) {
+          const other = headingNear(line, coord, opts);
+          if (other == null) continue;
+          const diff = headingDiff(own, other);
+          if (diff >= opts.oppositeDirectionMinDeg) kind = 'opposite';
+          else if (diff > opts.sameDirectionMaxDeg) return 'crossing';
+        }
+        return kind;
+      });
+      // tek tük sapmalar koşuyu parçalamasın: ±w örneklik çoğunluk filtresi
+      const kinds = raw.map((own, k) => {
+        const counts = {};
+        for (let j = Math.max(0, k - w); j <= Math.min(n - 1, k + w); j++) counts[raw[j]] = (counts[raw[j]] || 0) + 1;
+        return Object.keys(counts).reduce((best, kind) => (counts[kind] > counts[best] ? kind : best), own);
+      });
+
+      let start = 0;
+      for (let k = 1; k <= n; k++) {
+        if (k < n && kinds[k] === kinds[start]) continue;
+        const end = Math.min(k, n - 1);
+        if (end > start) {
+          out.push({
+            kind: kinds[start],
+            coords: run.coords.slice(start, end + 1),
+            kms: run.kms.slice(start, end + 1),
+            startKm: run.kms[start],
+            endKm: run.kms[end]
+          });
+        }
+        start = k;
+      }
+    });
+    return out;
+  }
+
+  // --- Comparison ---
+
+  /**
+   * Shared stretches of several tracks: the shortest line is sampled and
+   * every sample must lie within the threshold of ALL other lines.
+   *
+   * @param  {Array<number>} indices - Track indices to compare
+   * @param  {Object} lines - Output of buildLines
+   * @param  {Object} options - Engine options
+   * @param  {Function} onSamples - Optional progress callback (sample count)
+   *
+   * @return {Object} { indices, base, runs, segments, km, kmByKind }
+   */
+  function findOverlap(indices, lines, options, onSamples) {
+    const opts = Object.assign({}, DEFAULTS, options);
+    const sorted = indices.slice().sort((x, y) => lines[x].lengthKm - lines[y].lengthKm);
+    const others = sorted.slice(1).map(i => lines[i]);
+    const exitThresh = opts.thresholdMeters + opts.exitMarginMeters;
+
+    // en uzak çizgiye olan mesafe; exitThresh aşılınca diğerlerine bakmaya gerek yok
+    const maxDistTo = coord => {
+      let max = 0;
+      for (const line of others) {
+        max = Math.max(max, distToLine(line, coord, exitThresh));
+        if (max > exitThresh) break;
+      }
+      return max;
+    };
+
+    const runs = classifyRuns(splitRuns(lines[sorted[0]], maxDistTo, opts, onSamples).shared, others, opts);
+    const segments = runs.map(r => r.coords);
+    const km = segments.reduce((sum, coords) => sum + lengthKm(coords), 0);
+    const kmByKind = { same: 0, opposite: 0, crossing: 0 };
+    runs.forEach(r => { kmByKind[r.kind] += r.endKm - r.startKm; });
+    return { indices: indices.slice().sort((x, y) => x - y), base: sorted[0], runs, segments, km, kmByKind };
+  }
+
+  // Rotanın, diğerlerinin HİÇBİRİNE yakın olmadığı (yalnız ona ait) kısımları
+  function findUniqueRuns(index, otherIndices, lines, options, onSamples) {
+    const opts = Object.assign({}, DEFAULTS, options);
+    const others = otherIndices.map(i => lines[i]);
+    const exitThresh = opts.thresholdMeters + opts.exitMarginMeters;
+    const minDistTo = coord => {
+      let min = Infinity;
+      for (const line of others) {
+        min = Math.min(min, distToLine(line, coord, exitThresh));
+        if (min <= opts.thresholdMeters) break;
+      }
+      return min;
+    };
+    return splitRuns(lines[index], minDistTo, opts, onSamples).unique;
+  }
+
+  // --- Shape similarity ---
+
+  // Bütün parçalar tek örnek dizisinde (parçalar arası boşluk düz geçilir): [[lng, lat]]
+  function sampleCoords(line, stepKm) {
+    const out = [];
+    line.parts.forEach((coords, k) => {
+      if (coords.length < 2) out.push(...coords);
+      else sampleLine(coords, line.offsetsKm[k], stepKm).forEach(s => out.push(s.coord));
+    });
+    if (out.length === 1) out.push(out[0]);  // sıfır uzunluklu rota da tek (boş) segmentli çizgi olsun
+    return out;
+  }
+
+  // Ayrık Fréchet mesafesi (km): Eiter–Mannila dinamik programı, iki satırlık bellekle
+  function discreteFrechetKm(p, q) {
+    let prev = new Float64Array(q.length), row = new Float64Array(q.length);
+    for (let i = 0; i < p.length; i++) {
+      for (let j = 0; j < q.length; j++) {
+        const d = haversineKm(p[i], q[j]);
+        if (i === 0) row[j] = j === 0 ? d : Math.max(row[j - 1], d);
+        else if (j === 0) row[j] = Math.max(prev[0], d);
+        else row[j] = Math.max(Math.min(prev[j], prev[j - 1], row[j - 1]), d);
+      }
+      [prev, row] = [row, prev];
+    }
+    return prev[q.length - 1];
+  }
+
+  // Örneklerin çizgiye yanal sapması (m): ortalama ve en büyük. Yarıçap dışındaki örnekler için tüm çizgi
+  // taranır (ızgaranın bulduğu segment en yakını olmayabilir); çizgi de örneklerden kurulduğu için bu
+  // en çok SIMILARITY_MAX_SAMPLES segmenttir
+  function lateralDeviation(samples, line, opts) {
+    const radius = opts.thresholdMeters + opts.exitMarginMeters;
+    let sum = 0, max = 0;
+    samples.forEach(c => {
+      let d = nearestOnLine(line, c, radius).dist;
+      if (d > radius) d = nearestOnLine(line, c, null).dist;
+      sum += d;
+      if (d > max) max = d;
+    });
+    return { mean: sum / samples.length, max };
+  }
+
+  /**
+   * Shape similarity of two tracks. Both are resampled at a common step
+   * (stepMeters, widened so neither exceeds SIMILARITY_MAX_SAMPLES); the
+   * Hausdorff distance is the larger of the two maximum lateral deviations.
+   *
+   * @param  {Array<number>} pair - Two track indices
+   * @param  {Object} lines - Output of buildLines
+   * @param  {Object} options - Engine options
+   *
+   * @return {Object} { frechet, hausdorff, deviation: [{ index, mean, max }] } in meters; deviation: each track from the other
+   */
+  function similarity(pair, lines, options) {
+    const opts = Object.assign({}, DEFAULTS, options);
+    const stepKm = Math.max(opts.stepMeters / 1000, ...pair.map(i => lines[i].lengthKm / SIMILARITY_MAX_SAMPLES));
+    const samples = pair.map(i => sampleCoords(lines[i], stepKm));
+    const sampled = buildLines(pair.map((i, n) => ({ index: i, parts: [samples[n]], offsetsKm: [0] })), opts);
+    const deviation = pair.map((i, n) => Object.assign({ index: i }, lateralDeviation(samples[n], sampled[pair[1 - n]], opts)));
+    return {
+      frechet: discreteFrechetKm(samples[0], samples[1]) * 1000,
+      hausdorff: Math.max(deviation[0].max, deviation[1].max),
+      deviation
+    };
+  }
+
+  /**
+   * Every pair plus (for 3+ tracks) the intersection of all of them. Each
+   * result also carries unique[{ index, runs }]: the stretches where that
+   * track leaves the others, so the page has nothing heavy left to compute.
+   * Pairs with the reference track also carry similarity (see similarity()).
+   *
+   * @param  {Array<number>} indices - Track indices, in display order
+   * @param  {Object} lines - Output of buildLines
+   * @param  {Object} options - Engine options
+   * @param  {Function} onProgress - Optional, called with a 0..1 fraction
+   * @param  {number} reference - Optional track index for similarity; default indices[0]
+   *
+   * @return {Object} { indices, pairs, all }
+   */
+  function compareAll(indices, lines, options, onProgress, reference) {
+    const jobs = [];
+    for (let a = 0; a < indices.length; a++) {
+      for (let b = a + 1; b < indices.length; b++) jobs.push([indices[a], indices[b]]);
+    }
+    if (indices.length > 2) jobs.push(indices);
+
+    // iş miktarı örnek sayısıyla ölçülür: ortak kısımda en kısa çizgi, ayrışmalarda her çizgi örneklenir
+    const stepKm = Object.assign({}, DEFAULTS, options).stepMeters / 1000;
+    const samples = i => lines[i].lengthKm / stepKm + lines[i].parts.length;
+    const ref = indices.includes(reference) ? reference : indices[0];
+    const withSimilarity = job => job.length === 2 && job.includes(ref);
+    // benzerlik: Fréchet tablosu (n×m hücre) ve iki yönde yanal sapma (n + m örnek)
+    const simSamples = i => Math.min(SIMILARITY_MAX_SAMPLES, lines[i].lengthKm / stepKm) + 1;
+    const simCost = job => simSamples(job[0]) * simSamples(job[1]) / FRECHET_CELLS_PER_SAMPLE + simSamples(job[0]) + simSamples(job[1]);
+    const cost = job => Math.min(...job.map(samples)) + job.reduce((sum, i) => sum + samples(i), 0) +
+      (withSimilarity(job) ? simCost(job) : 0);
+    const total = jobs.reduce((sum, job) => sum + cost(job), 0) || 1;
+    let done = 0;
+    const onSamples = onProgress ? n => { done += n; onProgress(Math.min(1, done / total)); } : null;
+
+    const results = jobs.map(job => {
+      const result = findOverlap(job, lines, options, onSamples);
+      result.unique = result.indices.map(i => ({
+        index: i,
+        runs: findUniqueRuns(i, result.indices.filter(j => j !== i), lines, options, onSamples)
+      }));
+      if (withSimilarity(job)) {
+        result.similarity = similarity(result.indices, lines, options);
+        if (onSamples) onSamples(simCost(job));
+      }
+      return result;
+    });
+    return {
+      indices: indices.slice(),
+      pairs: indices.length > 2 ? results.slice(0, -1) : results,
+      all: indices.length > 2 ? results[results.length - 1] : null
+    };
+  }
+
+  global.overlapEngine = {
+    DEFAULTS,
+    buildLines,
+    compareAll,
+    findOverlap,
+    findUniqueRuns,
+    kmAlongLine,
+    projectOnLine,
+    sampleLine,
+    similarity,
+    lengthKm
+  };
+})(typeof window !== 'undefined' ? window : self);
@@ -0,0 +1,26 @@
+/**
+ * Overlap worker -- runs overlapEngine.compareAll off the UI thread
+ *
+ * İstek:  { id, tracks: [{ index, parts, offsetsKm }], indices, options, reference }
+ * Yanıt:  { id, type: 'progress', fraction } ... { id, type: 'result', result } | { id, type: 'error', message }
+ * İptal için sayfa worker'ı terminate() eder.
+ */
+importScripts('overlap-engine.js');
+
+const PROGRESS_STEP = 0.01;  // en az %1 ilerleyince bildir
+
+self.onmessage = e => {
+  const { id, tracks, indices, options, reference } = e.data;
+  let reported = 0;
+  try {
+    const lines = overlapEngine.buildLines(tracks, options);
+    const result = overlapEngine.compareAll(indices, lines, options, fraction => {
+      if (fraction - reported < PROGRESS_STEP) return;
+      reported = fraction;
+      self.postMessage({ id, type: 'progress', fraction });
+    }, reference);
+    self.postMessage({ id, type: 'result', result });
+  } catch (err) {
+    self.postMessage({ id, type: 'error', message: err && err.message || String(err) });
+  }
+};
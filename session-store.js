@@ -0,0 +1,104 @@
+/**
+ * Session store -- IndexedDB persistence for loaded tracks and settings
+ *
+ * Tek nesne deposu ("sessions", anahtar: id). Otomatik kayıt 'current' kimliğiyle
+ * tutulur; adlandırılmış karşılaştırmalar 's-<zaman>' kimlikleri alır.
+ * Kayıt: { id, name, savedAt, state }; state'in biçimini app.js belirler.
+ * IndexedDB kullanılamıyorsa (ör. gizli pencere) her çağrı reddedilir; sayfa kalıcılık olmadan çalışır.
+ */
+(function (global) {
+  'use strict';
+
+  const DB_NAME = 'gpx-comparator';
+  const DB_VERSION = 1;
+  const STORE = 'sessions';
+  const CURRENT_ID = 'current';
+
+  let dbPromise = null;
+
+  function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+      if (!global.indexedDB) { reject(new Error('IndexedDB desteklenmiyor')); return; }
+      const req = global.indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE, { keyPath: 'id' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+      req.onblocked = () => reject(new Error('IndexedDB açılamadı (başka sekme eski sürümü kullanıyor)'));
+    });
+    // başarısız açılış bir sonraki çağrıda yeniden denensin
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+  }
+
+  // Tek isteklik işlem: fn(store) bir IDBRequest döndürür, sonucu Promise olur
+  function run(mode, fn) {
+    return openDb().then(db => new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const req = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('IndexedDB işlemi iptal edildi'));
+    }));
+  }
+
+  function put(record) {
+    return run('readwrite', store => store.put(record)).then(() => record);
+  }
+
+  /**
+   * Save the autosave slot
+   *
+   * @param  {Object} state - Serializable app state
+   *
+   * @return {Promise}
+   */
+  function saveCurrent(state) {
+    return put({ id: CURRENT_ID, name: null, savedAt: Date.now(), state });
+  }
+
+  function loadCurrent() {
+    return run('readonly', store => store.get(CURRENT_ID)).then(rec => (rec ? rec.state : null));
+  }
+
+  /**
+   * Save a named comparison
+   *
+   * @param  {string} name - Display name
+   * @param  {Object} state - Serializable app state
+   *
+   * @return {Promise<Object>} The stored record
+   */
+  function saveSession(name, state) {
+    const savedAt = Date.now();
+    return put({ id: `s-${savedAt}`, name, savedAt, state });
+  }
+
+  function loadSession(id) {
+    return run('readonly', store => store.get(id)).then(rec => (rec ? rec.state : null));
+  }
+
+  function deleteSession(id) {
+    return run('readwrite', store => store.delete(id));
+  }
+
+  // Adlandırılmış kayıtlar, en yenisi önce; state yerine yalnız özet alanlar döner
+  function listSessions() {
+    return run('readonly', store => store.getAll()).then(records => records
+      .filter(rec => rec.id !== CURRENT_ID)
+      .sort((a, b) => b.savedAt - a.savedAt)
+      .map(rec => ({ id: rec.id, name: rec.name, savedAt: rec.savedAt, trackCount: (rec.state.tracks || []).length })));
+  }
+
+  global.sessionStore = {
+    saveCurrent,
+    loadCurrent,
+    saveSession,
+    loadSession,
+    deleteSession,
+    listSessions
+  };
+})(window);
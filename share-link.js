@@ -0,0 +1,142 @@
+/**
+ * Share link codec -- compact, server-free encoding of a comparison for the URL hash
+ *
+ * Koordinatlar Google "encoded polyline" biçiminde (1e-5 derece), yükseklikler aynı
+ * karakter şemasıyla fark kodlu tamsayı metre olarak yazılır. Bütün yük JSON'dan
+ * deflate-raw ile sıkıştırılıp base64url'e çevrilir; CompressionStream olmayan
+ * tarayıcılarda sıkıştırmasız yazılır. İlk karakter biçimi belirtir: 'z' sıkıştırılmış, 'j' düz.
+ */
+(function (global) {
+  'use strict';
+
+  const POLYLINE_FACTOR = 1e5;
+
+  // --- Polyline varint ---
+
+  function encodeSigned(value, out) {
+    let v = value < 0 ? ~(value << 1) : value << 1;
+    while (v >= 0x20) {
+      out.push(String.fromCharCode((0x20 | (v & 0x1f)) + 63));
+      v >>= 5;
+    }
+    out.push(String.fromCharCode(v + 63));
+  }
+
+  // str içindeki tüm işaretli tamsayılar
+  function decodeSigned(str) {
+    const values = [];
+    let i = 0;
+    while (i < str.length) {
+      let result = 0, shift = 0, b;
+      do {
+        b = str.charCodeAt(i++) - 63;
+        result |= (b & 0x1f) << shift;
+        shift += 5;
+      } while (b >= 0x20 && i < str.length);
+      values.push(result & 1 ? ~(result >> 1) : result >> 1);
+    }
+    return values;
+  }
+
+  /**
+   * Encode coordinates as a Google encoded polyline
+   *
+   * @param  {Array<Array<number>>} coords - [[lat, lng]]
+   *
+   * @return {string}
+   */
+  function encodePolyline(coords) {
+    const out = [];
+    let prevLat = 0, prevLng = 0;
+    coords.forEach(([lat, lng]) => {
+      const ilat = Math.round(lat * POLYLINE_FACTOR), ilng = Math.round(lng * POLYLINE_FACTOR);
+      encodeSigned(ilat - prevLat, out);
+      encodeSigned(ilng - prevLng, out);
+      prevLat = ilat;
+      prevLng = ilng;
+    });
+    return out.join('');
+  }
+
+  function decodePolyline(str) {
+    const values = decodeSigned(str);
+    const coords = [];
+    let lat = 0, lng = 0;
+    for (let i = 0; i + 1 < values.length; i += 2) {
+      lat += values[i];
+      lng += values[i + 1];
+      coords.push([lat / POLYLINE_FACTOR, lng / POLYLINE_FACTOR]);
+    }
+    return coords;
+  }
+
+  // Tamsayı dizisi, ardışık farklarla (yükseklik profili gibi yavaş değişen seriler için)
+  function encodeDeltas(values) {
+    const out = [];
+    let prev = 0;
+    values.forEach(v => {
+      const iv = Math.round(v);
+      encodeSigned(iv - prev, out);
+      prev = iv;
+    });
+    return out.join('');
+  }
+
+  function decodeDeltas(str) {
+    let prev = 0;
+    return decodeSigned(str).map(d => (prev += d));
+  }
+
+  // --- Packing ---
+
+  function toBase64Url(bytes) {
+    let bin = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function fromBase64Url(str) {
+    const bin = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    return bytes;
+  }
+
+  function pipeThrough(bytes, stream) {
+    return new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer().then(buf => new Uint8Array(buf));
+  }
+
+  /**
+   * Serialize and compress a payload for the URL hash
+   *
+   * @param  {Object} payload - JSON-serializable data
+   *
+   * @return {Promise<string>} URL-safe string
+   */
+  async function pack(payload) {
+    const bytes = new TextEncoder().encode(JSON.stringify(payload));
+    if (typeof CompressionStream === 'undefined') return 'j' + toBase64Url(bytes);
+    return 'z' + toBase64Url(await pipeThrough(bytes, new CompressionStream('deflate-raw')));
+  }
+
+  async function unpack(str) {
+    const kind = str.charAt(0);
+    let bytes = fromBase64Url(str.slice(1));
+    if (kind === 'z') {
+      if (typeof DecompressionStream === 'undefined') throw new Error('Tarayıcı sıkıştırılmış bağlantıyı açamıyor');
+      bytes = await pipeThrough(bytes, new DecompressionStream('deflate-raw'));
+    } else if (kind !== 'j') {
+      throw new Error('Tanınmayan paylaşım bağlantısı');
+    }
+    return JSON.parse(new TextDecoder().decode(bytes));
+  }
+
+  global.shareLink = {
+    encodePolyline,
+    decodePolyline,
+    encodeDeltas,
+    decodeDeltas,
+    pack,
+    unpack
+  };
+})(window);